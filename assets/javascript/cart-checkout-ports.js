@@ -0,0 +1,196 @@
+class LocalInventoryPort {
+  constructor(options = {}) {
+    this.stock = options.stock || {};
+    this.reservationTtl = options.reservationTtl || 900000;
+    this.reservations = new Map();
+  }
+
+  async reserve({ reservationKey, items }) {
+    const existing = Array.from(this.reservations.values())
+      .find(reservation => reservation.reservationKey === reservationKey);
+    if (existing) {
+      return existing;
+    }
+    
+    for (const item of items) {
+      const available = this.available(item.id);
+      if (available < item.quantity) {
+        throw new OutOfStockError(item.id, item.quantity, available);
+      }
+    }
+    
+    const reservation = {
+      reservationId: `res_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      reservationKey: reservationKey,
+      items: items.map(item => ({ itemId: item.id, quantity: item.quantity })),
+      expiresAt: Date.now() + this.reservationTtl
+    };
+    this.reservations.set(reservation.reservationId, reservation);
+    
+    console.log(`📦 Reserved inventory ${reservation.reservationId}`);
+    
+    return reservation;
+  }
+
+  async commit(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (reservation && !reservation.committed) {
+      for (const item of reservation.items) {
+        if (this.stock[item.itemId] !== undefined) {
+          this.stock[item.itemId] -= item.quantity;
+        }
+      }
+      reservation.committed = true;
+    }
+    
+    return { reservationId: reservationId, committedAt: Date.now() };
+  }
+
+  async release(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (reservation && reservation.committed) {
+      for (const item of reservation.items) {
+        if (this.stock[item.itemId] !== undefined) {
+          this.stock[item.itemId] += item.quantity;
+        }
+      }
+    }
+    this.reservations.delete(reservationId);
+    console.log(`🔄 Released inventory reservation ${reservationId}`);
+  }
+
+  available(itemId) {
+    if (this.stock[itemId] === undefined) {
+      return Infinity;
+    }
+    
+    const reserved = Array.from(this.reservations.values())
+      .filter(reservation => !reservation.committed && reservation.expiresAt > Date.now())
+      .flatMap(reservation => reservation.items)
+      .filter(item => item.itemId === itemId)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    
+    return this.stock[itemId] - reserved;
+  }
+}
+
+class LocalShippingPort {
+  constructor(options = {}) {
+    this.calculator = options.calculator || new ShippingCalculator();
+  }
+
+  async quote({ items, country, subtotal, methodId = null }) {
+    const option = this.calculator.quoteMethod(methodId, { items, country, subtotal });
+    if (!option) {
+      throw new Error(`No carrier ships this order to ${country || this.calculator.defaultCountry}`);
+    }
+    
+    console.log(`🚚 Shipping with ${option.carrier} to ${option.country}: ${option.amount}€`);
+    
+    return option;
+  }
+}
+
+class LocalPaymentPort {
+  constructor(options = {}) {
+    this.declineAbove = options.declineAbove ?? null;
+    this.payments = new Map();
+  }
+
+  async charge({ idempotencyKey, amount, currency }) {
+    if (this.payments.has(idempotencyKey)) {
+      return this.payments.get(idempotencyKey);
+    }
+    
+    if (this.declineAbove !== null && amount > this.declineAbove) {
+      throw new PaymentDeclinedError(amount, 'Amount exceeds the card limit');
+    }
+    
+    const payment = {
+      paymentId: `pay_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      amount: amount,
+      currency: currency,
+      status: 'captured'
+    };
+    this.payments.set(idempotencyKey, payment);
+    
+    console.log(`💳 Charged ${amount} ${currency} (${payment.paymentId})`);
+    
+    return payment;
+  }
+
+  async refund(paymentId) {
+    for (const payment of this.payments.values()) {
+      if (payment.paymentId === paymentId) {
+        payment.status = 'refunded';
+      }
+    }
+    console.log(`💰 Refunded payment ${paymentId}`);
+  }
+}
+
+class LocalOrderPort {
+  constructor() {
+    this.orders = new Map();
+  }
+
+  async create(order) {
+    const existing = Array.from(this.orders.values()).find(entry => entry.sagaId === order.sagaId);
+    if (existing) {
+      return existing;
+    }
+    
+    const created = {
+      ...order,
+      orderId: `order_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      status: 'created',
+      createdAt: Date.now()
+    };
+    this.orders.set(created.orderId, created);
+    
+    console.log(`📝 Created order ${created.orderId}`);
+    
+    return created;
+  }
+
+  async cancel(orderId) {
+    const order = this.orders.get(orderId);
+    if (order) {
+      order.status = 'cancelled';
+    }
+    console.log(`❌ Cancelled order ${orderId}`);
+  }
+
+  async sendConfirmation(orderId) {
+    console.log(`📧 Sent confirmation for order ${orderId}`);
+    return { orderId: orderId, sentAt: Date.now() };
+  }
+}
+
+function createLocalCheckoutPorts(options = {}) {
+  return {
+    inventory: new LocalInventoryPort(options.inventory),
+    shipping: new LocalShippingPort(options.shipping),
+    payment: new LocalPaymentPort(options.payment),
+    orders: new LocalOrderPort(options.orders)
+  };
+}
+
+class OutOfStockError extends Error {
+  constructor(itemId, requested, available) {
+    super(`Only ${available} of ${itemId} left, ${requested} requested`);
+    this.itemId = itemId;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+class PaymentDeclinedError extends Error {
+  constructor(amount, reason) {
+    super(`Payment of ${amount} declined: ${reason}`);
+    this.amount = amount;
+    this.reason = reason;
+  }
+}
+
+window.createLocalCheckoutPorts = createLocalCheckoutPorts;
@@ -0,0 +1,321 @@
+const defaultPromotionCatalog = [
+  {
+    id: 'welcome-10',
+    code: 'WELCOME10',
+    description: '10% off your first order',
+    type: 'percentage',
+    value: 10,
+    maxDiscount: 15,
+    expiresAt: '2027-12-31T23:59:59Z',
+    usageLimit: 1,
+    stacking: 'stackable'
+  },
+  {
+    id: 'plush-20',
+    code: 'PLUSH20',
+    description: '20% off plush toys',
+    type: 'percentage',
+    value: 20,
+    minimumCartValue: 50,
+    target: { categories: ['plush'] },
+    stacking: 'exclusive'
+  },
+  {
+    id: 'teddy-5',
+    code: 'TEDDY5',
+    description: '5€ off the Teddy Bear',
+    type: 'fixed',
+    value: 5,
+    target: { productIds: ['teddy-bear'] },
+    stacking: 'stackable'
+  },
+  {
+    id: 'summer-24',
+    code: 'SUMMER24',
+    description: 'Summer 2024 sale',
+    type: 'percentage',
+    value: 15,
+    startsAt: '2024-06-01T00:00:00Z',
+    expiresAt: '2024-09-01T00:00:00Z',
+    stacking: 'stackable'
+  },
+  {
+    id: 'wooden-3-for-2',
+    description: 'Wooden toys: buy 2, get 1 free',
+    type: 'buy_x_get_y',
+    buyQuantity: 2,
+    getQuantity: 1,
+    target: { categories: ['wooden'] },
+    stacking: 'stackable'
+  },
+  {
+    id: 'spend-100',
+    description: '10€ off orders over 100€',
+    type: 'fixed',
+    value: 10,
+    minimumCartValue: 100,
+    stacking: 'stackable'
+  }
+];
+
+class PromotionEngine {
+  constructor(catalog = defaultPromotionCatalog, options = {}) {
+    this.promotions = catalog.map(promotion => ({
+      stacking: 'stackable',
+      ...promotion,
+      code: promotion.code ? this.normalizeCode(promotion.code) : null
+    }));
+    this.usageLedger = options.usageLedger || new PromotionUsageLedger();
+    this.clock = options.clock || (() => Date.now());
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  findByCode(code) {
+    const normalized = this.normalizeCode(code);
+    return this.promotions.find(promotion => promotion.code === normalized) || null;
+  }
+
+  getAutomaticPromotions() {
+    return this.promotions.filter(promotion => !promotion.code);
+  }
+
+  validateCode(code, cart) {
+    const promotion = this.findByCode(code);
+    if (!promotion) {
+      return this.rejection(code, 'unknown_code', `${this.normalizeCode(code)} is not a valid discount code`);
+    }
+    
+    const ineligibility = this.checkEligibility(promotion, cart);
+    if (ineligibility) {
+      return this.rejection(promotion.code, ineligibility.reason, ineligibility.message);
+    }
+    
+    return { valid: true, promotion };
+  }
+
+  checkEligibility(promotion, cart) {
+    const now = this.clock();
+    
+    if (promotion.startsAt && now < Date.parse(promotion.startsAt)) {
+      return { reason: 'not_started', message: `${promotion.description} has not started yet` };
+    }
+    
+    if (promotion.expiresAt && now > Date.parse(promotion.expiresAt)) {
+      return { reason: 'expired', message: `${promotion.description} has expired` };
+    }
+    
+    if (promotion.usageLimit && this.usageLedger.getRedemptions(promotion.id) >= promotion.usageLimit) {
+      return { reason: 'usage_limit_reached', message: `${promotion.description} has already been used` };
+    }
+    
+    const subtotal = this.subtotal(cart.items);
+    if (promotion.minimumCartValue && subtotal.compare(promotion.minimumCartValue) < 0) {
+      return {
+        reason: 'minimum_not_met',
+        message: `${promotion.description} requires a cart of at least ${promotion.minimumCartValue}€`
+      };
+    }
+    
+    if (this.targetedItems(promotion, cart.items).length === 0) {
+      return { reason: 'not_applicable', message: `${promotion.description} does not apply to any item in your cart` };
+    }
+    
+    return null;
+  }
+
+  evaluate(cart, appliedCodes = []) {
+    const rejected = [];
+    const candidates = [];
+    
+    for (const code of appliedCodes) {
+      const validation = this.validateCode(code, cart);
+      if (validation.valid) {
+        candidates.push(validation.promotion);
+      } else {
+        rejected.push(validation);
+      }
+    }
+    
+    for (const promotion of this.getAutomaticPromotions()) {
+      if (!this.checkEligibility(promotion, cart)) {
+        candidates.push(promotion);
+      }
+    }
+    
+    const discounts = candidates.map(promotion => this.calculateDiscount(promotion, cart.items));
+    const selected = this.resolveStacking(discounts);
+    // A 0€ promotion did not beat anything, so only a discount that actually saves money can crowd a code out
+    const winner = selected
+      .filter(discount => discount.amount > 0)
+      .sort((a, b) => b.amount - a.amount)[0];
+    
+    for (const discount of discounts) {
+      if (discount.code && !selected.includes(discount)) {
+        if (!winner) {
+          selected.push(discount);
+          continue;
+        }
+        
+        rejected.push(this.rejection(
+          discount.code,
+          'not_combinable',
+          `${discount.description} cannot be combined with ${winner.description}`
+        ));
+      }
+    }
+    
+    return {
+      discounts: selected.filter(discount => discount.amount > 0 || discount.code),
+      rejected
+    };
+  }
+
+  resolveStacking(discounts) {
+    const stackable = discounts.filter(discount => discount.stacking !== 'exclusive');
+    const stackableTotal = this.sumAmounts(stackable);
+    
+    let best = stackable;
+    let bestTotal = stackableTotal;
+    
+    for (const discount of discounts) {
+      if (discount.stacking === 'exclusive' && discount.amount > bestTotal) {
+        best = [discount];
+        bestTotal = discount.amount;
+      }
+    }
+    
+    return best;
+  }
+
+  calculateDiscount(promotion, items) {
+    const targeted = this.targetedItems(promotion, items);
+    const targetedSubtotal = this.subtotal(targeted);
+    let amount = Money.zero();
+    
+    switch (promotion.type) {
+      case 'percentage':
+        amount = targetedSubtotal.percentage(promotion.value);
+        break;
+      case 'fixed':
+        amount = targetedSubtotal.min(promotion.value);
+        break;
+      case 'buy_x_get_y':
+        amount = this.calculateBuyXGetY(promotion, targeted);
+        break;
+      default:
+        throw new Error(`Unknown promotion type: ${promotion.type}`);
+    }
+    
+    if (promotion.maxDiscount) {
+      amount = amount.min(promotion.maxDiscount);
+    }
+    
+    return {
+      promotionId: promotion.id,
+      code: promotion.code,
+      type: promotion.type,
+      description: promotion.description,
+      stacking: promotion.stacking,
+      amount: amount.toNumber(),
+      allocations: this.allocate(amount, targeted)
+    };
+  }
+
+  calculateBuyXGetY(promotion, items) {
+    const unitPrices = items
+      .flatMap(item => Array(item.quantity).fill(Money.of(item.price)))
+      .sort((a, b) => a.compare(b));
+    
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const freeUnits = Math.floor(unitPrices.length / groupSize) * promotion.getQuantity;
+    
+    return Money.sum(unitPrices.slice(0, freeUnits));
+  }
+
+  allocate(amount, items) {
+    if (amount.isZero() || this.subtotal(items).isZero()) {
+      return [];
+    }
+    
+    const shares = amount.allocate(items.map(item => this.lineTotal(item).minor));
+    
+    return items.map((item, index) => ({ itemId: item.id, amount: shares[index].toNumber() }));
+  }
+
+  targetedItems(promotion, items) {
+    const target = promotion.target;
+    if (!target) {
+      return items;
+    }
+    
+    return items.filter(item =>
+      (target.productIds && target.productIds.includes(item.id)) ||
+      (target.categories && target.categories.includes(item.category))
+    );
+  }
+
+  recordRedemptions(codes) {
+    for (const code of codes) {
+      const promotion = this.findByCode(code);
+      if (promotion) {
+        this.usageLedger.recordRedemption(promotion.id);
+      }
+    }
+  }
+
+  rejection(code, reason, message) {
+    return {
+      valid: false,
+      code: this.normalizeCode(code),
+      reason,
+      message
+    };
+  }
+
+  subtotal(items) {
+    return Money.sum(items.map(item => this.lineTotal(item)));
+  }
+
+  lineTotal(item) {
+    return Money.of(item.price).multiply(item.quantity);
+  }
+
+  sumAmounts(discounts) {
+    return Money.sum(discounts.map(discount => discount.amount)).toNumber();
+  }
+}
+
+class PromotionUsageLedger {
+  constructor(storage = window.localStorage, key = 'promotionEngine.redemptions') {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.storage.getItem(this.key)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  getRedemptions(promotionId) {
+    return this.read()[promotionId] || 0;
+  }
+
+  recordRedemption(promotionId) {
+    const redemptions = this.read();
+    redemptions[promotionId] = (redemptions[promotionId] || 0) + 1;
+    
+    try {
+      this.storage.setItem(this.key, JSON.stringify(redemptions));
+    } catch (error) {
+      console.warn('⚠️ Promotion redemption could not be recorded:', error);
+    }
+  }
+}
+
+window.PromotionEngine = PromotionEngine;
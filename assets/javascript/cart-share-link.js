@@ -0,0 +1,189 @@
+class ProductCatalog {
+  constructor(products = []) {
+    this.products = new Map(products.map(product => [product.id, product]));
+  }
+
+  get(productId) {
+    return this.products.get(productId) || null;
+  }
+
+  has(productId) {
+    return this.products.has(productId);
+  }
+
+  all() {
+    return Array.from(this.products.values());
+  }
+}
+
+function loadProductCatalog(element = document.getElementById('product-catalog')) {
+  if (!element) {
+    console.warn('⚠️ Product catalog is missing from the page');
+    return new ProductCatalog();
+  }
+  
+  try {
+    return new ProductCatalog(JSON.parse(element.textContent));
+  } catch (error) {
+    console.warn('⚠️ Product catalog could not be read:', error);
+    return new ProductCatalog();
+  }
+}
+
+class CartShareLink {
+  constructor(options = {}) {
+    this.catalog = options.catalog || loadProductCatalog();
+    this.subtle = options.subtle || window.crypto.subtle;
+    this.parameter = options.parameter || 'cart';
+    this.version = 1;
+    this.digestLength = 16;
+  }
+
+  async encode(cart) {
+    const payload = this.toBase64Url(JSON.stringify({
+      i: cart.getItems().map(item => [item.id, item.quantity]),
+      c: cart.currentState.appliedCodes
+    }));
+    const digest = await this.digest(this.version, payload);
+    
+    return `${this.parameter}=${this.version}.${payload}.${digest}`;
+  }
+
+  isSharedCart(fragment) {
+    return fragment.replace(/^#/, '').startsWith(`${this.parameter}=`);
+  }
+
+  async decode(fragment) {
+    const value = fragment.replace(/^#/, '').slice(this.parameter.length + 1);
+    const [version, payload, digest] = value.split('.');
+    
+    if (Number(version) !== this.version || !payload || !digest) {
+      throw new SharedCartLinkError('unsupported_version');
+    }
+    
+    // The digest catches edited or truncated links; it is not a signature
+    if (digest !== await this.digest(Number(version), payload)) {
+      throw new SharedCartLinkError('tampered');
+    }
+    
+    let shared;
+    try {
+      shared = JSON.parse(this.fromBase64Url(payload));
+    } catch (error) {
+      throw new SharedCartLinkError('malformed');
+    }
+    
+    if (!Array.isArray(shared.i)) {
+      throw new SharedCartLinkError('malformed');
+    }
+    
+    return {
+      items: shared.i.map(([id, quantity]) => ({ id: String(id), quantity: quantity })),
+      codes: Array.isArray(shared.c) ? shared.c.map(String) : []
+    };
+  }
+
+  validate(shared, quantityRules = { min: 1, max: 10 }) {
+    const items = [];
+    const skipped = [];
+    
+    for (const item of shared.items) {
+      const product = this.catalog.get(item.id);
+      
+      if (!product) {
+        skipped.push({ id: item.id, reason: 'not_in_catalog' });
+      } else if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        skipped.push({ id: item.id, reason: 'invalid_quantity' });
+      } else {
+        items.push({
+          ...product,
+          quantity: Math.min(Math.max(item.quantity, quantityRules.min), quantityRules.max)
+        });
+      }
+    }
+    
+    return { items, skipped, codes: shared.codes };
+  }
+
+  async applyTo(cart, shared, { mode = 'merge' } = {}) {
+    const { items, skipped, codes } = this.validate(shared, cart.quantityRules);
+    
+    if (mode === 'replace') {
+      for (const existing of cart.getItems()) {
+        if (!items.some(item => item.id === existing.id)) {
+          await cart.handleCommand('RemoveItemFromCart', { itemId: existing.id });
+        }
+      }
+      
+      for (const code of cart.currentState.appliedCodes) {
+        if (!codes.includes(code)) {
+          await cart.handleCommand('RemoveDiscountCode', { code: code });
+        }
+      }
+    }
+    
+    for (const item of items) {
+      const existing = cart.getItems().find(entry => entry.id === item.id);
+      
+      if (existing) {
+        const quantity = mode === 'replace'
+          ? item.quantity
+          : Math.min(existing.quantity + item.quantity, cart.quantityRules.max);
+        if (quantity !== existing.quantity) {
+          await cart.handleCommand('UpdateItemQuantity', { itemId: item.id, newQuantity: quantity });
+        }
+      } else {
+        await cart.handleCommand('AddItemToCart', {
+          itemId: item.id,
+          name: item.name,
+          price: item.price,
+          category: item.category,
+          taxClass: item.taxClass,
+          quantity: item.quantity
+        });
+      }
+    }
+    
+    for (const code of codes) {
+      if (!cart.currentState.appliedCodes.includes(code)) {
+        await cart.handleCommand('ApplyDiscountCode', { code: code });
+      }
+    }
+    
+    console.log(`🔗 Shared cart ${mode === 'replace' ? 'replaced' : 'merged into'} ${cart.getAggregateId()}`);
+    
+    return { items, skipped };
+  }
+
+  async digest(version, payload) {
+    const bytes = new TextEncoder().encode(`${this.parameter}.${version}.${payload}`);
+    const hash = await this.subtle.digest('SHA-256', bytes);
+    
+    return this.toBase64Url(String.fromCharCode(...new Uint8Array(hash)), false)
+      .slice(0, this.digestLength);
+  }
+
+  toBase64Url(text, utf8 = true) {
+    const binary = utf8
+      ? String.fromCharCode(...new TextEncoder().encode(text))
+      : text;
+    
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    
+    return new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+  }
+}
+
+class SharedCartLinkError extends Error {
+  constructor(reason) {
+    super(`Shared cart link rejected: ${reason}`);
+    this.reason = reason;
+  }
+}
+
+window.CartShareLink = CartShareLink;
+window.loadProductCatalog = loadProductCatalog;
@@ -0,0 +1,154 @@
+const defaultShippingRateTable = {
+  defaultCountry: 'FR',
+  defaultMethod: 'colissimo',
+  defaultParcel: { weight: 500, size: [30, 20, 15] },
+  zones: {
+    domestic: ['FR'],
+    eu: ['DE', 'BE', 'NL', 'ES', 'IT', 'LU']
+  },
+  carriers: [
+    {
+      id: 'colissimo',
+      name: 'Colissimo',
+      service: 'Home delivery',
+      deliveryDays: '2-3',
+      freeShippingThreshold: 60,
+      maxLength: 150,
+      rates: {
+        domestic: [
+          { maxWeight: 1000, amount: 4.9 },
+          { maxWeight: 5000, amount: 7.9 },
+          { maxWeight: 30000, amount: 13.9 }
+        ],
+        eu: [
+          { maxWeight: 1000, amount: 9.9 },
+          { maxWeight: 5000, amount: 15.9 },
+          { maxWeight: 30000, amount: 29.9 }
+        ]
+      }
+    },
+    {
+      id: 'mondial-relay',
+      name: 'Mondial Relay',
+      service: 'Pickup point',
+      deliveryDays: '3-5',
+      freeShippingThreshold: 40,
+      maxLength: 50,
+      rates: {
+        domestic: [
+          { maxWeight: 1000, amount: 3.9 },
+          { maxWeight: 5000, amount: 5.9 },
+          { maxWeight: 30000, amount: 9.9 }
+        ],
+        eu: [
+          { maxWeight: 1000, amount: 6.9 },
+          { maxWeight: 5000, amount: 10.9 },
+          { maxWeight: 30000, amount: 19.9 }
+        ]
+      }
+    },
+    {
+      id: 'chronopost',
+      name: 'Chronopost',
+      service: 'Express',
+      deliveryDays: '1',
+      freeShippingThreshold: null,
+      maxLength: 150,
+      rates: {
+        domestic: [
+          { maxWeight: 1000, amount: 12.9 },
+          { maxWeight: 5000, amount: 16.9 },
+          { maxWeight: 30000, amount: 24.9 }
+        ],
+        eu: [
+          { maxWeight: 5000, amount: 29.9 },
+          { maxWeight: 30000, amount: 44.9 }
+        ]
+      }
+    }
+  ]
+};
+
+class ShippingCalculator {
+  constructor(rateTable = defaultShippingRateTable, catalog = null) {
+    this.rateTable = rateTable;
+    this.catalog = catalog;
+    this.defaultCountry = rateTable.defaultCountry;
+    this.defaultMethod = rateTable.defaultMethod;
+  }
+
+  normalizeCountry(country) {
+    return String(country || this.defaultCountry).trim().toUpperCase();
+  }
+
+  zoneFor(country) {
+    const normalized = this.normalizeCountry(country);
+    const zone = Object.entries(this.rateTable.zones)
+      .find(([name, countries]) => countries.includes(normalized));
+    
+    return zone ? zone[0] : null;
+  }
+
+  parcelFor(items) {
+    const dimensions = items.map(item => this.dimensionsFor(item));
+    
+    return {
+      weight: items.reduce((sum, item, index) => sum + dimensions[index].weight * item.quantity, 0),
+      length: Math.max(0, ...dimensions.map(dimension => Math.max(...dimension.size)))
+    };
+  }
+
+  dimensionsFor(item) {
+    const product = this.catalog ? this.catalog.get(item.id) : null;
+    const size = product && product.size
+      ? String(product.size).split('x').map(Number)
+      : this.rateTable.defaultParcel.size;
+    
+    return {
+      weight: product && Number.isFinite(product.weight) ? product.weight : this.rateTable.defaultParcel.weight,
+      size: size
+    };
+  }
+
+  quote({ items, country, subtotal }) {
+    const zone = this.zoneFor(country);
+    if (!zone || items.length === 0) {
+      return [];
+    }
+    
+    const parcel = this.parcelFor(items);
+    
+    return this.rateTable.carriers
+      .filter(carrier => parcel.length <= carrier.maxLength)
+      .map(carrier => {
+        const rate = (carrier.rates[zone] || []).find(rate => parcel.weight <= rate.maxWeight);
+        if (!rate) return null;
+        
+        const free = carrier.freeShippingThreshold !== null && subtotal >= carrier.freeShippingThreshold;
+        
+        return {
+          methodId: carrier.id,
+          carrier: carrier.name,
+          service: carrier.service,
+          deliveryDays: carrier.deliveryDays,
+          country: this.normalizeCountry(country),
+          zone: zone,
+          weight: parcel.weight,
+          amount: free ? 0 : rate.amount,
+          free: free
+        };
+      })
+      .filter(Boolean);
+  }
+
+  quoteMethod(methodId, request) {
+    const options = this.quote(request);
+    
+    return options.find(option => option.methodId === methodId) ||
+      options.find(option => option.methodId === this.defaultMethod) ||
+      options.sort((a, b) => a.amount - b.amount)[0] ||
+      null;
+  }
+}
+
+window.ShippingCalculator = ShippingCalculator;
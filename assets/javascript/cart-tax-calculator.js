@@ -0,0 +1,78 @@
+const defaultTaxRateTable = {
+  defaultCountry: 'FR',
+  pricesIncludeTax: true,
+  countries: {
+    FR: { standard: 0.20, reduced: 0.055, 'super-reduced': 0.021, exempt: 0 },
+    DE: { standard: 0.19, reduced: 0.07, exempt: 0 },
+    BE: { standard: 0.21, reduced: 0.06, exempt: 0 },
+    NL: { standard: 0.21, reduced: 0.09, exempt: 0 },
+    ES: { standard: 0.21, reduced: 0.10, 'super-reduced': 0.04, exempt: 0 },
+    IT: { standard: 0.22, reduced: 0.10, 'super-reduced': 0.04, exempt: 0 },
+    LU: { standard: 0.17, reduced: 0.08, 'super-reduced': 0.03, exempt: 0 }
+  }
+};
+
+class TaxCalculator {
+  constructor(rateTable = defaultTaxRateTable) {
+    this.rateTable = rateTable;
+    this.defaultCountry = rateTable.defaultCountry;
+    this.pricesIncludeTax = rateTable.pricesIncludeTax;
+  }
+
+  normalizeCountry(country) {
+    return String(country || this.defaultCountry).trim().toUpperCase();
+  }
+
+  supportsCountry(country) {
+    return Boolean(this.rateTable.countries[this.normalizeCountry(country)]);
+  }
+
+  getRate(country, taxClass = 'standard') {
+    const rates = this.rateTable.countries[this.normalizeCountry(country)];
+    if (!rates) {
+      throw new Error(`No tax rates configured for ${country}`);
+    }
+    
+    return rates[taxClass] ?? rates.standard;
+  }
+
+  calculate({ items, discounts = [], country }) {
+    const resolvedCountry = this.normalizeCountry(country);
+    
+    const lines = items.map(item => {
+      const taxClass = item.taxClass || 'standard';
+      const rate = this.getRate(resolvedCountry, taxClass);
+      const taxableAmount = Money.of(item.price).multiply(item.quantity).subtract(this.discountFor(item.id, discounts));
+      
+      // Tax is rounded per line, so the cart total is the sum of what each line shows
+      const amount = this.pricesIncludeTax
+        ? taxableAmount.subtract(taxableAmount.divide(1 + rate))
+        : taxableAmount.multiply(rate);
+      
+      return {
+        itemId: item.id,
+        taxClass: taxClass,
+        rate: rate,
+        taxableAmount: taxableAmount.toNumber(),
+        amount: amount.toNumber(),
+        included: this.pricesIncludeTax
+      };
+    });
+    
+    return {
+      country: resolvedCountry,
+      pricesIncludeTax: this.pricesIncludeTax,
+      taxAmount: Money.sum(lines.map(line => line.amount)).toNumber(),
+      lines: lines
+    };
+  }
+
+  discountFor(itemId, discounts) {
+    return discounts
+      .flatMap(discount => discount.allocations || [])
+      .filter(allocation => allocation.itemId === itemId)
+      .reduce((sum, allocation) => sum.add(allocation.amount), Money.zero());
+  }
+}
+
+window.TaxCalculator = TaxCalculator;
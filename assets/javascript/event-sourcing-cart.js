@@ -1,211 +1,234 @@
-class EventSourcingCart {
-  constructor() {
+class EventSourcedAggregate {
+  constructor(options = {}) {
     this.events = [];
     this.snapshots = [];
     this.currentState = this.getInitialState();
-    this.eventStore = new EventStore();
-    this.projections = new Map();
-    this.readModels = new Map();
+    this.eventStore = options.eventStore || new EventStore(options.storageAdapter);
+    this.eventRegistry = options.eventRegistry || cartEventRegistry;
+    this.projectionManager = options.projectionManager || new ProjectionManager(this.eventStore, {
+      eventRegistry: this.eventRegistry
+    });
     this.commandHandlers = new Map();
+    this.commandSchemas = new Map();
+    this.commandSchemaDefinitions = options.commandSchemas || {};
+    this.commandMiddleware = [];
+    this.authorizationHooks = [];
+    this.idempotencyWindow = options.idempotencyWindow ?? 500;
+    this.idempotencyCache = new Map();
+    this.commandMetrics = new Map();
     this.eventHandlers = new Map();
-    this.sagaManager = new CartSagaManager();
     this.aggregateVersion = 0;
     this.streamPosition = 0;
-    
-    this.initializeCommandHandlers();
-    this.initializeEventHandlers();
-    this.initializeProjections();
+    this.commandQueue = Promise.resolve();
+    this.maxConcurrencyRetries = options.maxConcurrencyRetries ?? 3;
+    this.listeners = new Set();
+    this.syncChannel = options.syncChannel || new CartSyncChannel(options.syncChannelName);
+    this.syncChannel.subscribe(message => this.receiveSyncMessage(message));
+  }
+
+  async initialize() {
+    await this.eventStore.open();
+    await this.projectionManager.start();
+    await this.rehydrateFromEventStore(this.getAggregateId());
   }
 
   getInitialState() {
-    return {
-      items: [],
-      total: 0,
-      discounts: [],
-      taxes: [],
-      shipping: null,
-      metadata: {
-        createdAt: Date.now(),
-        lastModified: Date.now(),
-        version: 0
-      }
-    };
+    return {};
   }
 
-  initializeCommandHandlers() {
-    this.registerCommandHandler('AddItemToCart', async (command) => {
-      const validation = await this.validateAddItemCommand(command);
-      if (!validation.valid) {
-        throw new CommandValidationError(validation.errors);
+  getAggregateId() {
+    return this.aggregateId;
+  }
+
+  getEventHistory() {
+    return this.events;
+  }
+
+  async handleCommand(commandName, commandData) {
+    await this.ready;
+    
+    const command = new Command(commandName, commandData);
+    const dispatch = () => this.runCommandPipeline(command);
+    const result = this.commandQueue.then(dispatch, dispatch);
+    this.commandQueue = result.catch(() => {});
+    
+    return result;
+  }
+
+  initializeCommandMiddleware() {
+    this.useCommandMiddleware(async (command, next) => {
+      const startedAt = performance.now();
+      let failed = false;
+      
+      try {
+        return await next();
+      } catch (error) {
+        failed = true;
+        throw error;
+      } finally {
+        this.recordCommandMetrics(command.commandName, performance.now() - startedAt, failed);
       }
+    });
+
+    this.useCommandMiddleware(async (command, next) => {
+      console.log(`📥 Handling command: ${command.commandName}`);
       
-      const events = [];
+      try {
+        return await next();
+      } catch (error) {
+        console.warn(`⚠️ Command ${command.commandName} failed:`, error.message);
+        throw error;
+      }
+    });
+
+    this.useCommandMiddleware(async (command, next) => {
+      if (!command.idempotencyKey) {
+        return await next();
+      }
       
-      events.push(new ItemAddedToCartEvent({
-        itemId: command.itemId,
-        name: command.name,
-        price: command.price,
-        quantity: command.quantity || 1,
-        timestamp: Date.now(),
-        correlationId: command.correlationId,
-        causationId: command.commandId
-      }));
+      this.pruneIdempotencyCache(Date.now());
       
-      if (await this.shouldApplyDiscount(command)) {
-        events.push(new DiscountAppliedEvent({
-          discountType: 'automatic',
-          amount: command.price * 0.1,
-          reason: 'New item discount'
-        }));
+      const cached = this.idempotencyCache.get(command.idempotencyKey);
+      if (cached) {
+        console.log(`♻️ Duplicate ${command.commandName} ignored (${command.idempotencyKey})`);
+        return cached.result;
       }
       
-      if (await this.shouldRecalculateTaxes()) {
-        events.push(new TaxesRecalculatedEvent({
-          taxRate: 0.08,
-          taxAmount: command.price * 0.08
-        }));
-      }
+      const result = await next();
+      // The window starts once the command has run, however long that took
+      this.idempotencyCache.set(command.idempotencyKey, { result, expiresAt: Date.now() + this.idempotencyWindow });
       
-      return events;
+      return result;
     });
 
-    this.registerCommandHandler('RemoveItemFromCart', async (command) => {
-      const item = this.currentState.items.find(i => i.id === command.itemId);
-      if (!item) {
-        throw new ItemNotFoundError(command.itemId);
+    this.useCommandMiddleware(async (command, next) => {
+      const schema = this.commandSchemas.get(command.commandName);
+      if (schema) {
+        const errors = validateSchema(schema, command);
+        if (errors.length > 0) {
+          throw new CommandValidationError(errors);
+        }
       }
       
-      return [
-        new ItemRemovedFromCartEvent({
-          itemId: command.itemId,
-          timestamp: Date.now(),
-          correlationId: command.correlationId
-        })
-      ];
-    });
-
-    this.registerCommandHandler('UpdateItemQuantity', async (command) => {
-      return [
-        new ItemQuantityUpdatedEvent({
-          itemId: command.itemId,
-          oldQuantity: command.oldQuantity,
-          newQuantity: command.newQuantity,
-          timestamp: Date.now()
-        })
-      ];
+      return await next();
     });
 
-    this.registerCommandHandler('ApplyDiscountCode', async (command) => {
-      const discount = await this.validateDiscountCode(command.code);
+    this.useCommandMiddleware(async (command, next) => {
+      for (const hook of this.authorizationHooks) {
+        const allowed = await hook(command, this);
+        if (allowed === false) {
+          throw new CommandUnauthorizedError(command.commandName);
+        }
+      }
       
-      return [
-        new DiscountCodeAppliedEvent({
-          code: command.code,
-          discount: discount,
-          timestamp: Date.now()
-        })
-      ];
+      return await next();
     });
+  }
 
-    this.registerCommandHandler('InitiateCheckout', async (command) => {
-      const saga = this.sagaManager.startCheckoutSaga({
-        cartId: this.getAggregateId(),
-        items: this.currentState.items,
-        total: this.currentState.total
-      });
-      
-      return [
-        new CheckoutInitiatedEvent({
-          sagaId: saga.id,
-          cartSnapshot: this.currentState,
-          timestamp: Date.now()
-        })
-      ];
-    });
+  pruneIdempotencyCache(now) {
+    for (const [key, cached] of this.idempotencyCache) {
+      if (cached.expiresAt <= now) {
+        this.idempotencyCache.delete(key);
+      }
+    }
   }
 
-  initializeEventHandlers() {
-    this.registerEventHandler('ItemAddedToCart', (event) => {
-      this.currentState.items.push({
-        id: event.itemId,
-        name: event.name,
-        price: event.price,
-        quantity: event.quantity,
-        addedAt: event.timestamp
-      });
-      
-      this.recalculateTotal();
-      this.updateProjections('ItemAdded', event);
-    });
+  useCommandMiddleware(middleware) {
+    this.commandMiddleware.push(middleware);
+    return this;
+  }
 
-    this.registerEventHandler('ItemRemovedFromCart', (event) => {
-      this.currentState.items = this.currentState.items.filter(
-        item => item.id !== event.itemId
-      );
-      
-      this.recalculateTotal();
-      this.updateProjections('ItemRemoved', event);
-    });
+  addAuthorizationHook(hook) {
+    this.authorizationHooks.push(hook);
+    return this;
+  }
 
-    this.registerEventHandler('ItemQuantityUpdated', (event) => {
-      const item = this.currentState.items.find(i => i.id === event.itemId);
-      if (item) {
-        item.quantity = event.newQuantity;
-        this.recalculateTotal();
+  runCommandPipeline(command) {
+    const run = (index) => {
+      const middleware = this.commandMiddleware[index];
+      if (!middleware) {
+        return this.dispatchCommand(command);
       }
-    });
-
-    this.registerEventHandler('DiscountApplied', (event) => {
-      this.currentState.discounts.push({
-        type: event.discountType,
-        amount: event.amount,
-        reason: event.reason,
-        appliedAt: event.timestamp
-      });
       
-      this.recalculateTotal();
-    });
+      return middleware(command, () => run(index + 1), this);
+    };
+    
+    return run(0);
+  }
 
-    this.registerEventHandler('TaxesRecalculated', (event) => {
-      this.currentState.taxes = [{
-        rate: event.taxRate,
-        amount: event.taxAmount,
-        calculatedAt: event.timestamp
-      }];
-      
-      this.recalculateTotal();
-    });
+  recordCommandMetrics(commandName, duration, failed) {
+    const metrics = this.commandMetrics.get(commandName) || {
+      count: 0,
+      failures: 0,
+      totalDuration: 0,
+      maxDuration: 0
+    };
+    
+    metrics.count++;
+    metrics.failures += failed ? 1 : 0;
+    metrics.totalDuration += duration;
+    metrics.maxDuration = Math.max(metrics.maxDuration, duration);
+    
+    this.commandMetrics.set(commandName, metrics);
   }
 
-  initializeProjections() {
-    this.projections.set('CartItemsProjection', new CartItemsProjection());
-    this.projections.set('CartTotalsProjection', new CartTotalsProjection());
-    this.projections.set('DiscountHistoryProjection', new DiscountHistoryProjection());
-    this.projections.set('CartAnalyticsProjection', new CartAnalyticsProjection());
-    this.projections.set('AbandonedCartProjection', new AbandonedCartProjection());
+  getCommandMetrics() {
+    return Object.fromEntries(Array.from(this.commandMetrics, ([name, metrics]) => [name, {
+      ...metrics,
+      averageDuration: metrics.totalDuration / metrics.count
+    }]));
   }
 
-  async handleCommand(commandName, commandData) {
-    const command = new Command(commandName, commandData);
+  async dispatchCommand(command) {
+    const handler = this.commandHandlers.get(command.commandName);
+    if (!handler) {
+      throw new Error(`No handler for command: ${command.commandName}`);
+    }
     
-    console.log(`📥 Handling command: ${commandName}`);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.executeCommand(handler, command);
+      } catch (error) {
+        const retryable = error instanceof ConcurrencyConflictError &&
+          command.expectedVersion === undefined &&
+          attempt < this.maxConcurrencyRetries;
+        
+        if (!retryable) {
+          throw error;
+        }
+        
+        console.warn(`🔁 ${error.message}, reloading and retrying ${command.commandName}`);
+        await this.catchUpWithEventStore();
+      }
+    }
+  }
+
+  async executeCommand(handler, command) {
+    const expectedVersion = this.aggregateVersion;
     
-    const handler = this.commandHandlers.get(commandName);
-    if (!handler) {
-      throw new Error(`No handler for command: ${commandName}`);
+    if (command.expectedVersion !== undefined && command.expectedVersion !== expectedVersion) {
+      throw new ConcurrencyConflictError(this.getAggregateId(), command.expectedVersion, expectedVersion);
     }
     
     const events = await handler(command);
     
+    const records = await this.persistEvents(events, expectedVersion);
+    
     for (const event of events) {
       await this.applyEvent(event);
-      await this.persistEvent(event);
     }
     
-    if (this.shouldTakeSnapshot()) {
+    if (records.length > 0) {
+      await this.projectionManager.dispatch(records);
+      this.syncChannel.publish({ type: 'events', streamId: this.getAggregateId(), records });
+    }
+    
+    if (events.length > 0 && this.shouldTakeSnapshot()) {
       await this.takeSnapshot();
     }
     
+    this.notifyListeners(events);
+    
     return {
       success: true,
       events: events,
@@ -216,13 +239,12 @@ class EventSourcingCart {
 
   async applyEvent(event) {
     const handler = this.eventHandlers.get(event.type);
-    if (!handler) {
+    if (handler) {
+      handler(event);
+    } else {
       console.warn(`No handler for event: ${event.type}`);
-      return;
     }
     
-    handler(event);
-    
     this.events.push(event);
     this.aggregateVersion++;
     this.streamPosition++;
@@ -230,18 +252,24 @@ class EventSourcingCart {
     console.log(`✅ Event applied: ${event.type} (v${this.aggregateVersion})`);
   }
 
-  async persistEvent(event) {
-    await this.eventStore.append({
+  async persistEvents(events, expectedVersion) {
+    for (const event of events) {
+      this.eventRegistry.validate(event.type, event.data);
+    }
+    
+    return await this.eventStore.append(events.map((event, index) => ({
       streamId: this.getAggregateId(),
       eventType: event.type,
       eventData: event.data,
       metadata: {
-        aggregateVersion: this.aggregateVersion,
-        timestamp: Date.now(),
+        eventId: event.eventId,
+        schemaVersion: event.version,
+        aggregateVersion: expectedVersion + index + 1,
+        timestamp: event.timestamp,
         correlationId: event.correlationId,
         causationId: event.causationId
       }
-    });
+    })), expectedVersion);
   }
 
   shouldTakeSnapshot() {
@@ -266,142 +294,1650 @@ class EventSourcingCart {
     const snapshot = await this.eventStore.getLatestSnapshot(aggregateId);
     
     if (snapshot) {
-      this.currentState = snapshot.state;
+      this.currentState = { ...this.getInitialState(), ...snapshot.state };
       this.aggregateVersion = snapshot.aggregateVersion;
       console.log(`🔄 Rehydrated from snapshot v${this.aggregateVersion}`);
     }
     
-    const events = await this.eventStore.getEvents(
-      aggregateId,
+    await this.catchUpWithEventStore();
+    
+    console.log(`✅ Rehydration complete. Current version: ${this.aggregateVersion}`);
+  }
+
+  async catchUpWithEventStore() {
+    const records = await this.eventStore.getEvents(
+      this.getAggregateId(),
       this.aggregateVersion
     );
     
+    const events = records.map(record => this.eventRegistry.deserialize(record));
+    
     for (const event of events) {
       await this.applyEvent(event);
     }
     
-    console.log(`✅ Rehydration complete. Current version: ${this.aggregateVersion}`);
+    await this.projectionManager.dispatch(records);
+    this.notifyListeners(events);
+    
+    return records.length;
   }
 
-  recalculateTotal() {
-    const subtotal = this.currentState.items.reduce(
-      (sum, item) => sum + (item.price * item.quantity),
-      0
-    );
+  receiveSyncMessage(message) {
+    // Waiting for rehydration inside the queue keeps a failed start from rejecting every message
+    const sync = () => this.ready.then(() => this.applySyncMessage(message));
+    this.commandQueue = this.commandQueue.then(sync, sync).catch(error => {
+      console.error(`❌ ${this.constructor.name} sync failed:`, error);
+    });
     
-    const discountTotal = this.currentState.discounts.reduce(
-      (sum, discount) => sum + discount.amount,
-      0
-    );
+    return this.commandQueue;
+  }
+
+  async applySyncMessage(message) {
+    if (message.streamId !== this.getAggregateId()) {
+      await this.projectionManager.dispatch(message.records);
+      return;
+    }
     
-    const taxTotal = this.currentState.taxes.reduce(
-      (sum, tax) => sum + tax.amount,
-      0
+    const records = [...message.records].sort(
+      (a, b) => a.metadata.aggregateVersion - b.metadata.aggregateVersion
     );
+    const applied = [];
+    const events = [];
     
-    this.currentState.total = subtotal - discountTotal + taxTotal;
-    this.currentState.metadata.lastModified = Date.now();
-    this.currentState.metadata.version++;
+    for (const record of records) {
+      const version = record.metadata.aggregateVersion;
+      if (version <= this.aggregateVersion) continue;
+      
+      if (version > this.aggregateVersion + 1) {
+        console.warn(`🕳️ Missing events before v${version}, refetching from the event store`);
+        await this.projectionManager.dispatch(applied);
+        this.notifyListeners(events);
+        await this.catchUpWithEventStore();
+        return;
+      }
+      
+      const event = this.eventRegistry.deserialize(record);
+      await this.applyEvent(event);
+      applied.push(record);
+      events.push(event);
+    }
+    
+    await this.projectionManager.dispatch(applied);
+    this.notifyListeners(events);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
-  updateProjections(projectionType, event) {
-    for (const [name, projection] of this.projections) {
-      projection.handle(event);
+  notifyListeners(events, { streamChanged = false } = {}) {
+    if (events.length === 0 && !streamChanged) return;
+    
+    for (const listener of this.listeners) {
+      try {
+        listener(events, this);
+      } catch (error) {
+        console.error(`❌ ${this.constructor.name} listener failed:`, error);
+      }
     }
   }
 
-  registerCommandHandler(commandName, handler) {
+  registerCommandHandler(commandName, handler, { schema = this.commandSchemaDefinitions[commandName] } = {}) {
     this.commandHandlers.set(commandName, handler);
+    
+    if (schema) {
+      this.commandSchemas.set(commandName, {
+        expectedVersion: 'number?',
+        idempotencyKey: 'string?',
+        ...schema
+      });
+    }
   }
 
   registerEventHandler(eventType, handler) {
     this.eventHandlers.set(eventType, handler);
   }
 
-  async validateAddItemCommand(command) {
-    const errors = [];
-    
-    if (!command.itemId) {
-      errors.push('Item ID is required');
-    }
-    
-    if (!command.price || command.price <= 0) {
-      errors.push('Valid price is required');
-    }
-    
-    if (command.quantity && command.quantity <= 0) {
-      errors.push('Quantity must be positive');
-    }
-    
-    return {
-      valid: errors.length === 0,
-      errors: errors
-    };
+  registerProjection(name, factory, options) {
+    return this.projectionManager.register(name, factory, options);
   }
 
-  async shouldApplyDiscount(command) {
-    return Math.random() < 0.3;
+  async rebuildProjection(name) {
+    await this.ready;
+    return await this.projectionManager.rebuild(name);
   }
 
-  async shouldRecalculateTaxes() {
-    return true;
+  getProjectionStatus() {
+    return this.projectionManager.getStatus();
   }
 
-  async validateDiscountCode(code) {
-    return {
-      valid: true,
-      type: 'percentage',
-      value: 10,
-      maxDiscount: 50
-    };
+  getProjection(name) {
+    return this.projectionManager.get(name);
   }
+}
 
-  getAggregateId() {
-    return `cart_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+class EventSourcingCart extends EventSourcedAggregate {
+  constructor(options = {}) {
+    super({ commandSchemas: cartCommandSchemas, ...options });
+    this.identityStore = options.identityStore || new CartIdentityStore();
+    this.promotionEngine = options.promotionEngine || new PromotionEngine();
+    this.taxCalculator = options.taxCalculator || new TaxCalculator();
+    this.shippingCalculator = options.shippingCalculator || new ShippingCalculator();
+    this.aggregateId = options.aggregateId || this.identityStore.load() || this.identityStore.assign();
+    this.cartProjections = ['CartItemsProjection', 'CartTotalsProjection'];
+    this.readModels = new Map();
+    this.sagaManager = new CartSagaManager({
+      eventStore: this.eventStore,
+      eventRegistry: this.eventRegistry,
+      ports: options.checkoutPorts
+    });
+    this.quantityRules = { min: 1, max: 10, ...options.quantityRules };
+    this.abandonmentThreshold = options.abandonmentThreshold || 3600000;
+    this.abandonmentMonitor = null;
+    this.maxUndoDepth = options.maxUndoDepth || 20;
+    
+    this.initializeCommandHandlers();
+    this.initializeCommandMiddleware();
+    this.initializeEventHandlers();
+    this.initializeProjections();
+    
+    this.ready = this.initialize();
   }
 
-  getEventHistory() {
-    return this.events;
+  async startNewCart() {
+    await this.ready;
+    
+    await this.resetState(this.identityStore.assign());
+    this.syncChannel.publish({ type: 'stream-changed', streamId: this.aggregateId });
+    
+    console.log(`🆕 Started new cart ${this.aggregateId}`);
+    
+    return this.aggregateId;
   }
 
-  getProjection(name) {
-    return this.projections.get(name);
+  async resetState(aggregateId) {
+    this.aggregateId = aggregateId;
+    this.events = [];
+    this.snapshots = [];
+    this.currentState = this.getInitialState();
+    this.aggregateVersion = 0;
+    this.streamPosition = 0;
+    
+    await Promise.all(this.cartProjections.map(name => this.projectionManager.rebuild(name)));
   }
-}
 
-class EventStore {
-  constructor() {
-    this.streams = new Map();
-    this.snapshots = new Map();
-    this.globalStream = [];
+  async applySyncMessage(message) {
+    if (message.type !== 'stream-changed') {
+      return await super.applySyncMessage(message);
+    }
+    
+    if (message.streamId === this.getAggregateId()) return;
+    
+    console.log(`🔀 Switching to cart ${message.streamId} opened in another tab`);
+    await this.resetState(message.streamId);
+    await this.rehydrateFromEventStore(message.streamId);
+    this.notifyListeners([], { streamChanged: true });
   }
 
-  async append(event) {
-    const stream = this.streams.get(event.streamId) || [];
-    stream.push(event);
-    this.streams.set(event.streamId, stream);
+  async migrateLegacyCart(legacyCart, storage = window.localStorage, key = 'eventSourcingCart.legacyMigratedAt') {
+    await this.ready;
     
-    this.globalStream.push({
-      ...event,
-      globalPosition: this.globalStream.length
-    });
+    if (!legacyCart || storage.getItem(key)) {
+      return null;
+    }
+    
+    const items = legacyCart.list();
+    const result = items.length > 0
+      ? await this.handleCommand('ImportLegacyCart', { items })
+      : null;
+    
+    storage.setItem(key, String(Date.now()));
+    legacyCart.destroy();
+    
+    console.log(`📦 Migrated ${items.length} legacy cart items into ${this.getAggregateId()}`);
+    
+    return result;
   }
 
-  async getEvents(streamId, fromVersion = 0) {
-    const stream = this.streams.get(streamId) || [];
-    return stream.filter(event => event.metadata.aggregateVersion > fromVersion);
+  parseLegacyPrice(price) {
+    try {
+      return Money.of(typeof price === 'number' ? price : String(price));
+    } catch (error) {
+      return null;
+    }
   }
 
-  async saveSnapshot(snapshot) {
-    const snapshots = this.snapshots.get(snapshot.aggregateId) || [];
-    snapshots.push(snapshot);
-    this.snapshots.set(snapshot.aggregateId, snapshots);
+  async listCartStreams() {
+    const streams = await this.eventStore.listStreams(this.identityStore.prefix);
+    return streams.map(stream => ({
+      ...stream,
+      current: stream.streamId === this.aggregateId
+    }));
   }
 
-  async getLatestSnapshot(aggregateId) {
-    const snapshots = this.snapshots.get(aggregateId) || [];
-    return snapshots[snapshots.length - 1] || null;
-  }
+  getInitialState() {
+    return {
+      items: [],
+      total: 0,
+      discounts: [],
+      appliedCodes: [],
+      taxes: [],
+      taxCountry: null,
+      shipping: null,
+      checkout: null,
+      undoStack: [],
+      redoStack: [],
+      metadata: {
+        createdAt: Date.now(),
+        lastModified: Date.now(),
+        version: 0
+      }
+    };
+  }
+
+  initializeCommandHandlers() {
+    this.registerCommandHandler('AddItemToCart', async (command) => {
+      const validation = await this.validateAddItemCommand(command);
+      if (!validation.valid) {
+        throw new CommandValidationError(validation.errors);
+      }
+      
+      const events = [];
+      const quantity = command.quantity || 1;
+      const existing = this.findItem(command.itemId);
+      
+      if (existing) {
+        events.push(...this.buildQuantityChangeEvents(command, existing, existing.quantity + quantity));
+      } else {
+        this.assertQuantityWithinRules(quantity);
+        events.push(new ItemAddedToCartEvent({
+          itemId: command.itemId,
+          name: command.name,
+          price: Money.of(command.price).toNumber(),
+          category: command.category,
+          taxClass: command.taxClass,
+          quantity: quantity,
+          timestamp: Date.now(),
+          correlationId: command.correlationId,
+          causationId: command.commandId
+        }));
+      }
+      
+      events.push(...this.buildDerivedEvents(events));
+      
+      return events;
+    });
+
+    this.registerCommandHandler('ImportLegacyCart', async (command) => {
+      const events = command.items
+        .map(item => ({ item, price: this.parseLegacyPrice(item.price) }))
+        .filter(({ item, price }) => item.id && price && price.isPositive() && !this.findItem(String(item.id)))
+        .map(({ item, price }) => new ItemAddedToCartEvent({
+          itemId: String(item.id),
+          name: item.name,
+          price: price.toNumber(),
+          quantity: Math.min(Math.max(parseInt(item.quantity, 10) || 1, this.quantityRules.min), this.quantityRules.max),
+          timestamp: Date.now(),
+          correlationId: command.correlationId,
+          causationId: command.commandId
+        }));
+      
+      return [...events, ...this.buildDerivedEvents(events)];
+    });
+
+    this.registerCommandHandler('RemoveItemFromCart', async (command) => {
+      const item = this.findItem(command.itemId);
+      if (!item) {
+        throw new ItemNotFoundError(command.itemId);
+      }
+      
+      const events = [
+        new ItemRemovedFromCartEvent({
+          itemId: command.itemId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+      
+      return [...events, ...this.buildDerivedEvents(events)];
+    });
+
+    this.registerCommandHandler('UpdateItemQuantity', async (command) => {
+      const item = this.findItem(command.itemId);
+      if (!item) {
+        throw new ItemNotFoundError(command.itemId);
+      }
+      
+      const newQuantity = command.newQuantity ?? item.quantity + (command.delta || 0);
+      const events = this.buildQuantityChangeEvents(command, item, newQuantity);
+      
+      return [...events, ...this.buildDerivedEvents(events)];
+    });
+
+    this.registerCommandHandler('ApplyDiscountCode', async (command) => {
+      const code = this.promotionEngine.normalizeCode(command.code);
+      const appliedCodes = [...this.currentState.appliedCodes, code];
+      const cart = { items: this.currentState.items };
+      
+      if (this.currentState.appliedCodes.includes(code)) {
+        return [
+          this.buildDiscountCodeRejectedEvent(command, {
+            code,
+            reason: 'already_applied',
+            message: `${code} is already applied to your cart`
+          })
+        ];
+      }
+      
+      const validation = this.promotionEngine.validateCode(code, cart);
+      const evaluation = validation.valid
+        ? this.promotionEngine.evaluate(cart, appliedCodes)
+        : { rejected: [validation], discounts: [] };
+      const rejection = evaluation.rejected.find(rejected => rejected.code === code);
+      
+      if (rejection) {
+        return [this.buildDiscountCodeRejectedEvent(command, rejection)];
+      }
+      
+      return [
+        new DiscountCodeAppliedEvent({
+          code: code,
+          discount: evaluation.discounts.find(discount => discount.code === code),
+          timestamp: Date.now()
+        }),
+        ...this.buildDerivedEvents([], appliedCodes)
+      ];
+    });
+
+    this.registerCommandHandler('RemoveDiscountCode', async (command) => {
+      const code = this.promotionEngine.normalizeCode(command.code);
+      
+      if (!this.currentState.appliedCodes.includes(code)) {
+        throw new CommandValidationError([`${code} is not applied to this cart`]);
+      }
+      
+      return [
+        new DiscountCodeRemovedEvent({
+          code: code,
+          timestamp: Date.now()
+        }),
+        ...this.buildDerivedEvents([], this.currentState.appliedCodes.filter(applied => applied !== code))
+      ];
+    });
+
+    this.registerCommandHandler('SetTaxCountry', async (command) => {
+      if (!this.taxCalculator.supportsCountry(command.country)) {
+        throw new CommandValidationError([`Taxes are not configured for ${command.country}`]);
+      }
+      
+      const country = this.taxCalculator.normalizeCountry(command.country);
+      if (country === this.getTaxCountry()) {
+        return [];
+      }
+      
+      return [
+        new TaxCountryChangedEvent({
+          country: country,
+          timestamp: Date.now()
+        }),
+        ...this.buildTaxEvents([], country),
+        ...this.buildShippingEvents([], country)
+      ];
+    });
+
+    this.registerCommandHandler('SelectShippingMethod', async (command) => {
+      const option = this.getShippingOptions().find(option => option.methodId === command.methodId);
+      if (!option) {
+        throw new CommandValidationError([`${command.methodId} does not ship this cart to ${this.getTaxCountry()}`]);
+      }
+      
+      const shipping = this.currentState.shipping;
+      if (shipping && shipping.methodId === option.methodId && shipping.amount === option.amount) {
+        return [];
+      }
+      
+      return [this.buildShippingMethodSelectedEvent(option, 'customer')];
+    });
+
+    this.registerCommandHandler('MarkCartAbandoned', async (command) => {
+      const projection = this.getProjection('AbandonedCartProjection');
+      const detectedAt = command.detectedAt || Date.now();
+      
+      if (!projection.isAbandoned(this.getAggregateId(), detectedAt)) {
+        return [];
+      }
+      
+      const cart = projection.getCart(this.getAggregateId());
+      
+      return [
+        new CartAbandonedEvent({
+          lastActivityAt: cart.lastActivityAt,
+          itemCount: cart.itemCount,
+          value: this.getTotals().total,
+          timestamp: detectedAt
+        })
+      ];
+    });
+
+    this.registerCommandHandler('RecoverCart', async (command) => {
+      const cart = this.getProjection('AbandonedCartProjection').getCart(this.getAggregateId());
+      
+      if (!cart || cart.status !== 'abandoned') {
+        return [];
+      }
+      
+      return [
+        new CartRecoveredEvent({
+          abandonedAt: cart.abandonedAt,
+          timestamp: Date.now()
+        })
+      ];
+    });
+
+    this.registerCommandHandler('InitiateCheckout', async (command) => {
+      const checkout = this.currentState.checkout;
+      if (checkout && checkout.status === 'pending') {
+        throw new CheckoutInProgressError(checkout.sagaId);
+      }
+      
+      if (this.currentState.items.length === 0) {
+        throw new CommandValidationError(['Cart is empty']);
+      }
+      
+      if (!this.currentState.shipping) {
+        throw new CommandValidationError([`Choose a delivery option to ${this.getTaxCountry()} before checking out`]);
+      }
+      
+      return [
+        new CheckoutInitiatedEvent({
+          sagaId: this.sagaManager.generateSagaId(),
+          cartSnapshot: structuredClone({
+            cartId: this.getAggregateId(),
+            items: this.currentState.items,
+            discounts: this.currentState.discounts,
+            appliedCodes: this.currentState.appliedCodes,
+            taxes: this.currentState.taxes,
+            taxCountry: this.getTaxCountry(),
+            shipping: this.currentState.shipping,
+            total: this.currentState.total
+          }),
+          timestamp: Date.now()
+        })
+      ];
+    });
+
+    this.registerCommandHandler('RecordCheckoutOutcome', async (command) => {
+      const outcome = command.outcome;
+      const checkout = this.currentState.checkout;
+      
+      if (!checkout || checkout.sagaId !== outcome.sagaId || checkout.status !== 'pending') {
+        return [];
+      }
+      
+      const { status, ...data } = outcome;
+      
+      return [
+        status === 'completed' ? new CheckoutCompletedEvent(data) : new CheckoutFailedEvent(data)
+      ];
+    });
+
+    this.registerCommandHandler('UndoLastChange', async (command) => {
+      const changeId = this.currentState.undoStack[this.currentState.undoStack.length - 1];
+      if (!changeId) {
+        return [];
+      }
+      
+      const change = await this.loadChange(changeId);
+      const events = [...change.events]
+        .reverse()
+        .map(event => this.buildUndoEvent(event, change.priorState, changeId, command));
+      
+      return [
+        ...events,
+        new CartChangeUndoneEvent({
+          changeId: changeId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        }),
+        ...this.buildDerivedEvents(events)
+      ];
+    });
+
+    this.registerCommandHandler('RedoLastChange', async (command) => {
+      const changeId = this.currentState.redoStack[this.currentState.redoStack.length - 1];
+      if (!changeId) {
+        return [];
+      }
+      
+      const change = await this.loadChange(changeId);
+      const events = change.events.map(event => new event.constructor({
+        ...event.data,
+        timestamp: Date.now(),
+        correlationId: command.correlationId,
+        causationId: command.commandId,
+        compensates: changeId
+      }));
+      
+      return [
+        ...events,
+        new CartChangeRedoneEvent({
+          changeId: changeId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        }),
+        ...this.buildDerivedEvents(events)
+      ];
+    });
+  }
+
+  buildQuantityChangeEvents(command, item, newQuantity) {
+    if (!Number.isInteger(newQuantity)) {
+      throw new CommandValidationError(['Quantity must be a whole number']);
+    }
+    
+    if (newQuantity === item.quantity) {
+      return [];
+    }
+    
+    if (newQuantity <= 0) {
+      return [
+        new ItemRemovedFromCartEvent({
+          itemId: item.id,
+          reason: 'quantity_zero',
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    }
+    
+    this.assertQuantityWithinRules(newQuantity);
+    
+    return [
+      new ItemQuantityUpdatedEvent({
+        itemId: item.id,
+        oldQuantity: item.quantity,
+        newQuantity: newQuantity,
+        timestamp: Date.now(),
+        correlationId: command.correlationId,
+        causationId: command.commandId
+      })
+    ];
+  }
+
+  assertQuantityWithinRules(quantity) {
+    const { min, max } = this.quantityRules;
+    
+    if (quantity < min) {
+      throw new CommandValidationError([`Quantity must be at least ${min}`]);
+    }
+    
+    if (quantity > max) {
+      throw new CommandValidationError([`Quantity cannot exceed ${max}`]);
+    }
+  }
+
+  findItem(itemId) {
+    return this.currentState.items.find(item => item.id === itemId);
+  }
+
+  previewItems(events) {
+    const items = this.currentState.items.map(item => ({ ...item }));
+    
+    for (const event of events) {
+      const item = items.find(i => i.id === event.itemId);
+      
+      switch (event.type) {
+        case 'ItemAddedToCart':
+          if (item) {
+            item.quantity += event.quantity;
+          } else {
+            items.push({
+              id: event.itemId,
+              name: event.name,
+              price: event.price,
+              category: event.category,
+              taxClass: event.taxClass,
+              quantity: event.quantity
+            });
+          }
+          break;
+        case 'ItemRemovedFromCart':
+          if (item) {
+            items.splice(items.indexOf(item), 1);
+          }
+          break;
+        case 'ItemQuantityUpdated':
+          if (item) {
+            item.quantity = event.newQuantity;
+          }
+          break;
+      }
+    }
+    
+    return items;
+  }
+
+  previewDiscounts(events) {
+    const recalculated = events.filter(event => event.type === 'DiscountsRecalculated').pop();
+    return recalculated ? recalculated.discounts : this.currentState.discounts;
+  }
+
+  buildDerivedEvents(events, appliedCodes) {
+    const promotionEvents = this.buildPromotionEvents(events, appliedCodes);
+    const taxEvents = this.buildTaxEvents([...events, ...promotionEvents]);
+    const shippingEvents = this.buildShippingEvents([...events, ...promotionEvents]);
+    
+    return [...promotionEvents, ...taxEvents, ...shippingEvents];
+  }
+
+  buildShippingEvents(events, country = this.getTaxCountry()) {
+    const shipping = this.currentState.shipping;
+    const items = this.previewItems(events);
+    if (!shipping && items.length === 0) {
+      return [];
+    }
+    
+    // Until the customer picks a carrier the default one is selected, so the total shown is what checkout charges
+    const option = this.shippingCalculator.quoteMethod(
+      shipping ? shipping.methodId : null,
+      this.buildShippingRequest(items, this.previewDiscounts(events), country)
+    );
+    
+    if (!option) {
+      return shipping
+        ? [this.buildShippingMethodSelectedEvent({ methodId: null, country: country, amount: 0 }, 'recalculation')]
+        : [];
+    }
+    
+    if (!shipping) {
+      return [this.buildShippingMethodSelectedEvent(option, 'default')];
+    }
+    
+    if (option.methodId === shipping.methodId && option.amount === shipping.amount && option.country === shipping.country) {
+      return [];
+    }
+    
+    return [this.buildShippingMethodSelectedEvent(option, 'recalculation')];
+  }
+
+  buildShippingRequest(items, discounts, country = this.getTaxCountry()) {
+    const subtotal = Money.sum(items.map(item => Money.of(item.price).multiply(item.quantity)));
+    const discountTotal = Money.sum(discounts.map(discount => discount.amount));
+    
+    return {
+      items: items,
+      country: country,
+      subtotal: subtotal.subtract(discountTotal).toNumber()
+    };
+  }
+
+  buildShippingMethodSelectedEvent(option, selectedBy) {
+    return new ShippingMethodSelectedEvent({
+      methodId: option.methodId,
+      carrier: option.carrier,
+      service: option.service,
+      deliveryDays: option.deliveryDays,
+      country: option.country,
+      zone: option.zone,
+      amount: option.amount,
+      selectedBy: selectedBy,
+      timestamp: Date.now()
+    });
+  }
+
+  getShippingOptions() {
+    return this.shippingCalculator.quote(
+      this.buildShippingRequest(this.currentState.items, this.currentState.discounts)
+    );
+  }
+
+  buildTaxEvents(events, country = this.getTaxCountry()) {
+    const calculation = this.taxCalculator.calculate({
+      items: this.previewItems(events),
+      discounts: this.previewDiscounts(events),
+      country: country
+    });
+    
+    if (JSON.stringify(calculation.lines) === JSON.stringify(this.currentState.taxes)) {
+      return [];
+    }
+    
+    return [
+      new TaxesRecalculatedEvent({
+        ...calculation,
+        timestamp: Date.now()
+      })
+    ];
+  }
+
+  getTaxCountry() {
+    return this.currentState.taxCountry || this.taxCalculator.defaultCountry;
+  }
+
+  buildPromotionEvents(events, appliedCodes = this.currentState.appliedCodes) {
+    const evaluation = this.promotionEngine.evaluate({ items: this.previewItems(events) }, appliedCodes);
+    
+    const promotionEvents = evaluation.rejected.map(rejection =>
+      this.buildDiscountCodeRejectedEvent({}, rejection)
+    );
+    
+    if (JSON.stringify(evaluation.discounts) !== JSON.stringify(this.currentState.discounts)) {
+      promotionEvents.push(new DiscountsRecalculatedEvent({
+        discounts: evaluation.discounts,
+        timestamp: Date.now()
+      }));
+    }
+    
+    return promotionEvents;
+  }
+
+  buildDiscountCodeRejectedEvent(command, rejection) {
+    return new DiscountCodeRejectedEvent({
+      code: rejection.code,
+      reason: rejection.reason,
+      message: rejection.message,
+      timestamp: Date.now(),
+      correlationId: command.correlationId
+    });
+  }
+
+  async loadChange(changeId) {
+    const records = await this.eventStore.getEvents(this.getAggregateId(), 0);
+    const changeRecords = records.filter(record =>
+      record.metadata.correlationId === changeId &&
+      ['ItemAddedToCart', 'ItemRemovedFromCart', 'ItemQuantityUpdated'].includes(record.eventType) &&
+      !record.eventData.compensates
+    );
+    const firstVersion = changeRecords[0].metadata.aggregateVersion;
+    
+    return {
+      events: changeRecords.map(record => this.eventRegistry.deserialize(record)),
+      priorState: this.replayState(records
+        .filter(record => record.metadata.aggregateVersion < firstVersion)
+        .map(record => this.eventRegistry.deserialize(record)))
+    };
+  }
+
+  buildUndoEvent(event, priorState, changeId, command) {
+    const compensation = {
+      itemId: event.itemId,
+      timestamp: Date.now(),
+      correlationId: command.correlationId,
+      compensates: changeId
+    };
+    
+    switch (event.type) {
+      case 'ItemAddedToCart':
+        return new ItemRemovedFromCartEvent({ ...compensation, reason: 'undo' });
+      case 'ItemRemovedFromCart': {
+        const item = priorState.items.find(entry => entry.id === event.itemId);
+        return new ItemAddedToCartEvent({
+          ...compensation,
+          name: item.name,
+          price: item.price,
+          category: item.category,
+          taxClass: item.taxClass,
+          quantity: item.quantity,
+          causationId: command.commandId
+        });
+      }
+      case 'ItemQuantityUpdated': {
+        const item = priorState.items.find(entry => entry.id === event.itemId);
+        return new ItemQuantityUpdatedEvent({
+          ...compensation,
+          oldQuantity: event.newQuantity,
+          newQuantity: event.oldQuantity ?? item.quantity,
+          causationId: command.commandId
+        });
+      }
+    }
+  }
+
+  trackUndoableChange(event) {
+    if (event.compensates || !event.correlationId) return;
+    
+    const undoStack = this.currentState.undoStack;
+    if (undoStack[undoStack.length - 1] !== event.correlationId) {
+      this.currentState.undoStack = [...undoStack, event.correlationId].slice(-this.maxUndoDepth);
+    }
+    
+    this.currentState.redoStack = [];
+  }
+
+  canUndo() {
+    return this.currentState.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.currentState.redoStack.length > 0;
+  }
+
+  initializeEventHandlers() {
+    this.registerEventHandler('ItemAddedToCart', (event) => {
+      const existing = this.findItem(event.itemId);
+      
+      if (existing) {
+        existing.quantity += event.quantity;
+      } else {
+        this.currentState.items.push({
+          id: event.itemId,
+          name: event.name,
+          price: event.price,
+          category: event.category,
+          taxClass: event.taxClass,
+          quantity: event.quantity,
+          addedAt: event.timestamp
+        });
+      }
+      
+      this.trackUndoableChange(event);
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('ItemRemovedFromCart', (event) => {
+      this.currentState.items = this.currentState.items.filter(
+        item => item.id !== event.itemId
+      );
+      
+      this.trackUndoableChange(event);
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('ItemQuantityUpdated', (event) => {
+      const item = this.findItem(event.itemId);
+      if (item) {
+        item.quantity = event.newQuantity;
+        this.recalculateTotal();
+      }
+      
+      this.trackUndoableChange(event);
+    });
+
+    this.registerEventHandler('CartChangeUndone', (event) => {
+      this.currentState.undoStack = this.currentState.undoStack.filter(changeId => changeId !== event.changeId);
+      this.currentState.redoStack = [...this.currentState.redoStack, event.changeId];
+    });
+
+    this.registerEventHandler('CartChangeRedone', (event) => {
+      this.currentState.redoStack = this.currentState.redoStack.filter(changeId => changeId !== event.changeId);
+      this.currentState.undoStack = [...this.currentState.undoStack, event.changeId];
+    });
+
+    this.registerEventHandler('DiscountApplied', (event) => {
+      this.currentState.discounts.push({
+        type: event.discountType,
+        amount: event.amount,
+        reason: event.reason,
+        appliedAt: event.timestamp
+      });
+      
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('DiscountCodeApplied', (event) => {
+      if (!this.currentState.appliedCodes.includes(event.code)) {
+        this.currentState.appliedCodes.push(event.code);
+      }
+    });
+
+    this.registerEventHandler('DiscountCodeRejected', (event) => {
+      this.currentState.appliedCodes = this.currentState.appliedCodes.filter(code => code !== event.code);
+    });
+
+    this.registerEventHandler('DiscountCodeRemoved', (event) => {
+      this.currentState.appliedCodes = this.currentState.appliedCodes.filter(code => code !== event.code);
+    });
+
+    this.registerEventHandler('DiscountsRecalculated', (event) => {
+      this.currentState.discounts = event.discounts;
+      
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('TaxCountryChanged', (event) => {
+      this.currentState.taxCountry = event.country;
+    });
+
+    this.registerEventHandler('TaxesRecalculated', (event) => {
+      this.currentState.taxes = event.lines;
+      
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('ShippingMethodSelected', (event) => {
+      this.currentState.shipping = event.methodId
+        ? {
+          methodId: event.methodId,
+          carrier: event.carrier,
+          service: event.service,
+          deliveryDays: event.deliveryDays,
+          country: event.country,
+          zone: event.zone,
+          amount: event.amount
+        }
+        : null;
+      
+      this.recalculateTotal();
+    });
+
+    this.registerEventHandler('CheckoutInitiated', (event) => {
+      this.currentState.checkout = {
+        sagaId: event.sagaId,
+        status: 'pending',
+        cartSnapshot: event.cartSnapshot,
+        initiatedAt: event.timestamp
+      };
+    });
+
+    this.registerEventHandler('CheckoutCompleted', (event) => {
+      Object.assign(this.currentState.checkout, {
+        status: 'completed',
+        orderId: event.orderId,
+        completedAt: event.timestamp
+      });
+    });
+
+    this.registerEventHandler('CheckoutFailed', (event) => {
+      Object.assign(this.currentState.checkout, {
+        status: 'failed',
+        failedStep: event.step,
+        reason: event.reason,
+        uncompensatedSteps: event.uncompensatedSteps || [],
+        failedAt: event.timestamp
+      });
+    });
+  }
+
+  initializeProjections() {
+    const currentCart = record => record.streamId === this.getAggregateId();
+    const anyCart = record => record.streamId.startsWith(this.identityStore.prefix);
+    
+    this.registerProjection('CartItemsProjection', () => new CartItemsProjection(), { filter: currentCart });
+    this.registerProjection('CartTotalsProjection', () => new CartTotalsProjection(), { filter: currentCart });
+    this.registerProjection('DiscountHistoryProjection', () => new DiscountHistoryProjection(), {
+      filter: anyCart,
+      checkpoint: true
+    });
+    this.registerProjection('CartAnalyticsProjection', () => new CartAnalyticsProjection(), {
+      filter: anyCart,
+      checkpoint: true
+    });
+    this.registerProjection('AbandonedCartProjection', () => new AbandonedCartProjection(this.abandonmentThreshold), {
+      filter: anyCart,
+      checkpoint: true
+    });
+  }
+
+  async checkout() {
+    const result = await this.handleCommand('InitiateCheckout', {});
+    const initiated = result.events.find(event => event.type === 'CheckoutInitiated');
+    
+    return await this.runCheckoutSaga(initiated.sagaId, initiated.cartSnapshot);
+  }
+
+  async resumeCheckout() {
+    await this.ready;
+    
+    const checkout = this.currentState.checkout;
+    if (!checkout || checkout.status !== 'pending') {
+      return null;
+    }
+    
+    console.log(`⏯️ Resuming interrupted checkout ${checkout.sagaId}`);
+    
+    return await this.runCheckoutSaga(checkout.sagaId, checkout.cartSnapshot);
+  }
+
+  async runCheckoutSaga(sagaId, cartSnapshot) {
+    const outcome = await this.sagaManager.runCheckoutSaga(sagaId, cartSnapshot);
+    
+    if (outcome.status === 'completed') {
+      this.promotionEngine.recordRedemptions(cartSnapshot.appliedCodes);
+    }
+    
+    await this.handleCommand('RecordCheckoutOutcome', { outcome });
+    
+    return outcome;
+  }
+
+  async detectAbandonment(now = Date.now()) {
+    await this.ready;
+    
+    if (!this.getProjection('AbandonedCartProjection').isAbandoned(this.getAggregateId(), now)) {
+      return null;
+    }
+    
+    return await this.handleCommand('MarkCartAbandoned', { detectedAt: now });
+  }
+
+  startAbandonmentMonitor(interval = 60000) {
+    this.stopAbandonmentMonitor();
+    
+    this.abandonmentMonitor = setInterval(() => {
+      this.detectAbandonment().catch(error => {
+        console.error('❌ Abandoned cart detection failed:', error);
+      });
+    }, interval);
+  }
+
+  stopAbandonmentMonitor() {
+    clearInterval(this.abandonmentMonitor);
+    this.abandonmentMonitor = null;
+  }
+
+  getRecoveryStatus() {
+    return this.getProjection('AbandonedCartProjection').getCart(this.getAggregateId());
+  }
+
+  recalculateTotal() {
+    const subtotal = Money.sum(this.currentState.items.map(item => Money.of(item.price).multiply(item.quantity)));
+    
+    const discountTotal = Money.sum(this.currentState.discounts.map(discount => discount.amount));
+    
+    const taxTotal = Money.sum(this.currentState.taxes
+      .filter(tax => !tax.included)
+      .map(tax => tax.amount));
+    
+    const shippingTotal = Money.of(this.currentState.shipping ? this.currentState.shipping.amount : 0);
+    
+    // State keeps plain decimals so stored snapshots stay readable; the arithmetic happens in cents
+    this.currentState.total = subtotal.subtract(discountTotal).add(taxTotal).add(shippingTotal).toNumber();
+    this.currentState.metadata.lastModified = Date.now();
+    this.currentState.metadata.version++;
+  }
+
+  async validateAddItemCommand(command) {
+    const errors = [];
+    
+    if (!command.itemId) {
+      errors.push('Item ID is required');
+    }
+    
+    if (!command.price || command.price <= 0) {
+      errors.push('Valid price is required');
+    }
+    
+    if (command.quantity !== undefined && (!Number.isInteger(command.quantity) || command.quantity <= 0)) {
+      errors.push('Quantity must be a positive whole number');
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  async exportStream(streamId = this.getAggregateId()) {
+    await this.ready;
+    
+    const records = await this.eventStore.getEvents(streamId);
+    const snapshots = await this.eventStore.getSnapshots(streamId);
+    const version = records.length > 0 ? records[records.length - 1].metadata.aggregateVersion : 0;
+    
+    const header = {
+      kind: 'header',
+      format: cartStreamFormat.name,
+      formatVersion: cartStreamFormat.version,
+      streamId: streamId,
+      version: version,
+      eventCount: records.length,
+      snapshotCount: snapshots.length,
+      exportedAt: Date.now()
+    };
+    
+    const lines = [
+      header,
+      ...records.map(({ globalPosition, ...record }) => ({ kind: 'event', ...record })),
+      ...snapshots.map(snapshot => ({ kind: 'snapshot', ...snapshot }))
+    ];
+    
+    console.log(`📤 Exported ${records.length} events from ${streamId}`);
+    
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  async getStateAt({ version = Infinity, timestamp = Infinity } = {}) {
+    await this.ready;
+    
+    const records = await this.eventStore.getEvents(this.getAggregateId(), 0);
+    const events = [];
+    
+    for (const record of records) {
+      if (record.metadata.aggregateVersion > version || record.metadata.timestamp > timestamp) break;
+      events.push(this.eventRegistry.deserialize(record));
+    }
+    
+    return this.replayState(events);
+  }
+
+  replayState(events) {
+    const liveState = this.currentState;
+    this.currentState = this.getInitialState();
+    
+    try {
+      for (const event of events) {
+        const handler = this.eventHandlers.get(event.type);
+        if (handler) {
+          handler(event);
+        }
+      }
+      
+      return this.currentState;
+    } finally {
+      this.currentState = liveState;
+    }
+  }
+
+  getItems() {
+    return this.getProjection('CartItemsProjection').getItems();
+  }
+
+  getTotals() {
+    return this.getProjection('CartTotalsProjection').getTotals();
+  }
+
+  getMoneyTotals() {
+    return this.getProjection('CartTotalsProjection').getMoneyTotals();
+  }
+}
+
+class EventStore {
+  constructor(adapter) {
+    this.adapter = adapter || createDefaultEventStoreAdapter();
+    this.opening = null;
+  }
+
+  async open() {
+    if (!this.opening) {
+      this.opening = this.adapter.open().catch(error => {
+        console.warn(`⚠️ ${this.adapter.constructor.name} unavailable, falling back to memory:`, error);
+        this.adapter = new InMemoryEventStoreAdapter();
+        return this.adapter.open();
+      });
+    }
+    return this.opening;
+  }
+
+  async append(events, expectedVersion) {
+    await this.open();
+    const records = Array.isArray(events) ? events : [events];
+    if (records.length === 0) {
+      return [];
+    }
+    return await this.adapter.appendEvents(records, expectedVersion);
+  }
+
+  async getEvents(streamId, fromVersion = 0) {
+    await this.open();
+    return await this.adapter.getEvents(streamId, fromVersion);
+  }
+
+  async getAllEvents(fromPosition = 0) {
+    await this.open();
+    return await this.adapter.getAllEvents(fromPosition);
+  }
+
+  async listStreams(prefix = '') {
+    const streams = new Map();
+    
+    for (const event of await this.getAllEvents()) {
+      if (!event.streamId.startsWith(prefix)) continue;
+      
+      const stream = streams.get(event.streamId) || {
+        streamId: event.streamId,
+        version: 0,
+        eventCount: 0,
+        firstEventAt: event.metadata.timestamp,
+        lastEventAt: event.metadata.timestamp
+      };
+      
+      stream.version = Math.max(stream.version, event.metadata.aggregateVersion);
+      stream.eventCount++;
+      stream.lastEventAt = event.metadata.timestamp;
+      streams.set(event.streamId, stream);
+    }
+    
+    return Array.from(streams.values()).sort((a, b) => b.lastEventAt - a.lastEventAt);
+  }
+
+  async saveSnapshot(snapshot) {
+    await this.open();
+    await this.adapter.saveSnapshot(snapshot);
+  }
+
+  async getLatestSnapshot(aggregateId) {
+    await this.open();
+    return await this.adapter.getLatestSnapshot(aggregateId);
+  }
+
+  async getSnapshots(aggregateId) {
+    await this.open();
+    return await this.adapter.getSnapshots(aggregateId);
+  }
+}
+
+class EventStoreStorageAdapter {
+  async open() {}
+
+  async appendEvents(records, expectedVersion) {
+    throw new Error(`${this.constructor.name} does not implement appendEvents`);
+  }
+
+  async getEvents(streamId, fromVersion) {
+    throw new Error(`${this.constructor.name} does not implement getEvents`);
+  }
+
+  async getAllEvents(fromPosition) {
+    throw new Error(`${this.constructor.name} does not implement getAllEvents`);
+  }
+
+  async saveSnapshot(snapshot) {
+    throw new Error(`${this.constructor.name} does not implement saveSnapshot`);
+  }
+
+  async getLatestSnapshot(aggregateId) {
+    throw new Error(`${this.constructor.name} does not implement getLatestSnapshot`);
+  }
+
+  async getSnapshots(aggregateId) {
+    throw new Error(`${this.constructor.name} does not implement getSnapshots`);
+  }
+}
+
+class InMemoryEventStoreAdapter extends EventStoreStorageAdapter {
+  constructor() {
+    super();
+    this.streams = new Map();
+    this.snapshots = new Map();
+    this.globalStream = [];
+  }
+
+  async appendEvents(records, expectedVersion) {
+    const streamId = records[0].streamId;
+    const stream = this.streams.get(streamId) || [];
+    const lastEvent = stream[stream.length - 1];
+    const actualVersion = lastEvent ? lastEvent.metadata.aggregateVersion : 0;
+    
+    if (expectedVersion !== undefined && actualVersion !== expectedVersion) {
+      throw new ConcurrencyConflictError(streamId, expectedVersion, actualVersion);
+    }
+    
+    const stored = records.map((record, index) => ({
+      ...structuredClone(record),
+      globalPosition: this.globalStream.length + index + 1
+    }));
+    
+    stream.push(...stored);
+    this.streams.set(streamId, stream);
+    this.globalStream.push(...stored);
+    
+    return structuredClone(stored);
+  }
+
+  async getEvents(streamId, fromVersion = 0) {
+    const stream = this.streams.get(streamId) || [];
+    return structuredClone(
+      stream.filter(event => event.metadata.aggregateVersion > fromVersion)
+    );
+  }
+
+  async getAllEvents(fromPosition = 0) {
+    return structuredClone(
+      this.globalStream.filter(event => event.globalPosition > fromPosition)
+    );
+  }
+
+  async saveSnapshot(snapshot) {
+    const snapshots = this.snapshots.get(snapshot.aggregateId) || [];
+    snapshots.push(structuredClone(snapshot));
+    this.snapshots.set(snapshot.aggregateId, snapshots);
+  }
+
+  async getLatestSnapshot(aggregateId) {
+    const snapshots = this.snapshots.get(aggregateId) || [];
+    const latest = snapshots[snapshots.length - 1];
+    return latest ? structuredClone(latest) : null;
+  }
+
+  async getSnapshots(aggregateId) {
+    return structuredClone(this.snapshots.get(aggregateId) || []);
+  }
+}
+
+class IndexedDBEventStoreAdapter extends EventStoreStorageAdapter {
+  constructor(databaseName = 'toystore-event-store', factory = window.indexedDB) {
+    super();
+    this.databaseName = databaseName;
+    this.factory = factory;
+    this.schemaVersion = 1;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (!this.factory) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+      
+      const request = this.factory.open(this.databaseName, this.schemaVersion);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        
+        if (!db.objectStoreNames.contains('events')) {
+          const events = db.createObjectStore('events', {
+            keyPath: 'globalPosition',
+            autoIncrement: true
+          });
+          events.createIndex('streamVersion', ['streamId', 'metadata.aggregateVersion'], { unique: true });
+          events.createIndex('streamId', 'streamId');
+        }
+        
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', {
+            keyPath: ['aggregateId', 'aggregateVersion']
+          });
+        }
+      };
+      
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+      
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`IndexedDB ${this.databaseName} is blocked by another tab`));
+    });
+  }
+
+  async transact(storeName, mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      let result;
+      
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  async appendEvents(records, expectedVersion) {
+    const db = await this.open();
+    const streamId = records[0].streamId;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('events', 'readwrite');
+      const store = transaction.objectStore('events');
+      const stored = [];
+      let conflict = null;
+      
+      const writeRecords = () => {
+        for (const record of records) {
+          const request = store.add(record);
+          request.onsuccess = () => {
+            stored.push({ ...record, globalPosition: request.result });
+          };
+        }
+      };
+      
+      if (expectedVersion === undefined) {
+        writeRecords();
+      } else {
+        const range = IDBKeyRange.bound([streamId, 0], [streamId, Infinity]);
+        const request = store.index('streamVersion').openKeyCursor(range, 'prev');
+        request.onsuccess = () => {
+          const actualVersion = request.result ? request.result.key[1] : 0;
+          if (actualVersion !== expectedVersion) {
+            conflict = new ConcurrencyConflictError(streamId, expectedVersion, actualVersion);
+            transaction.abort();
+            return;
+          }
+          writeRecords();
+        };
+      }
+      
+      transaction.oncomplete = () => resolve(stored);
+      transaction.onabort = () => {
+        if (conflict) {
+          reject(conflict);
+        } else if (transaction.error && transaction.error.name === 'ConstraintError') {
+          reject(new ConcurrencyConflictError(streamId, expectedVersion, null));
+        } else {
+          reject(transaction.error);
+        }
+      };
+    });
+  }
+
+  async getEvents(streamId, fromVersion = 0) {
+    const range = IDBKeyRange.bound(
+      [streamId, fromVersion],
+      [streamId, Infinity],
+      true,
+      false
+    );
+    return await this.transact('events', 'readonly', store => store.index('streamVersion').getAll(range));
+  }
+
+  async getAllEvents(fromPosition = 0) {
+    const range = IDBKeyRange.lowerBound(fromPosition, true);
+    return await this.transact('events', 'readonly', store => store.getAll(range));
+  }
+
+  async saveSnapshot(snapshot) {
+    await this.transact('snapshots', 'readwrite', store => store.put(snapshot));
+  }
+
+  async getLatestSnapshot(aggregateId) {
+    const range = IDBKeyRange.bound([aggregateId, 0], [aggregateId, Infinity]);
+    const cursor = await this.transact('snapshots', 'readonly', store => store.openCursor(range, 'prev'));
+    return cursor ? cursor.value : null;
+  }
+
+  async getSnapshots(aggregateId) {
+    const range = IDBKeyRange.bound([aggregateId, 0], [aggregateId, Infinity]);
+    return await this.transact('snapshots', 'readonly', store => store.getAll(range));
+  }
+}
+
+function createDefaultEventStoreAdapter() {
+  if (window.indexedDB) {
+    return new IndexedDBEventStoreAdapter();
+  }
+  return new InMemoryEventStoreAdapter();
+}
+
+const cartStreamFormat = { name: 'toystore-cart-stream', version: 1 };
+
+function parseCartStream(ndjson, eventRegistry = cartEventRegistry) {
+  const errors = [];
+  const records = [];
+  const snapshots = [];
+  let header = null;
+  
+  const lines = ndjson.split('\n')
+    .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+    .filter(line => line.text !== '');
+  
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line.text);
+    } catch (error) {
+      errors.push(`Line ${line.number}: invalid JSON`);
+      continue;
+    }
+    
+    const { kind, ...content } = entry;
+    
+    if (!header) {
+      if (kind !== 'header' || content.format !== cartStreamFormat.name) {
+        throw new CartStreamImportError([`Line ${line.number}: expected a ${cartStreamFormat.name} header`]);
+      }
+      if (content.formatVersion > cartStreamFormat.version) {
+        throw new CartStreamImportError([`Format v${content.formatVersion} is newer than the supported v${cartStreamFormat.version}`]);
+      }
+      header = content;
+      continue;
+    }
+    
+    if (kind === 'event') {
+      const previous = records[records.length - 1];
+      const expectedVersion = previous ? previous.metadata.aggregateVersion + 1 : 1;
+      
+      if (content.streamId !== header.streamId) {
+        errors.push(`Line ${line.number}: event belongs to ${content.streamId}, not ${header.streamId}`);
+      } else if (!content.metadata || content.metadata.aggregateVersion !== expectedVersion) {
+        errors.push(`Line ${line.number}: expected version ${expectedVersion}`);
+      } else {
+        try {
+          eventRegistry.deserialize(content);
+        } catch (error) {
+          errors.push(`Line ${line.number}: ${error.message}`);
+        }
+      }
+      records.push(content);
+    } else if (kind === 'snapshot') {
+      if (content.aggregateId !== header.streamId) {
+        errors.push(`Line ${line.number}: snapshot belongs to ${content.aggregateId}, not ${header.streamId}`);
+      }
+      snapshots.push(content);
+    } else {
+      errors.push(`Line ${line.number}: unknown entry kind ${kind}`);
+    }
+  }
+  
+  if (!header) {
+    throw new CartStreamImportError(['File is empty']);
+  }
+  
+  if (header.eventCount !== undefined && header.eventCount !== records.length) {
+    errors.push(`Header announces ${header.eventCount} events, found ${records.length}`);
+  }
+  
+  for (const snapshot of snapshots) {
+    if (snapshot.aggregateVersion > records.length) {
+      errors.push(`Snapshot v${snapshot.aggregateVersion} is ahead of the last event v${records.length}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw new CartStreamImportError(errors);
+  }
+  
+  return { header, records, snapshots };
+}
+
+async function importCartStream(source, options = {}) {
+  const ndjson = typeof source === 'string' ? source : await source.text();
+  const { header, records, snapshots } = parseCartStream(ndjson, options.eventRegistry);
+  
+  const eventStore = options.eventStore || new EventStore(new InMemoryEventStoreAdapter());
+  await eventStore.append(records, 0);
+  for (const snapshot of snapshots) {
+    await eventStore.saveSnapshot(snapshot);
+  }
+  
+  const cart = new EventSourcingCart({
+    syncChannel: new CartSyncChannel(`toystore-cart-import:${header.streamId}`),
+    ...options,
+    eventStore: eventStore,
+    aggregateId: header.streamId
+  });
+  await cart.ready;
+  
+  console.log(`📥 Imported ${records.length} events into ${header.streamId}`);
+  
+  return cart;
+}
+
+class CartSyncChannel {
+  constructor(name = 'toystore-cart-sync', channelFactory = channelName => new BroadcastChannel(channelName)) {
+    this.name = name;
+    this.handlers = new Set();
+    this.channel = null;
+    
+    try {
+      this.channel = channelFactory(name);
+      this.channel.onmessage = message => this.receive(message.data);
+    } catch (error) {
+      console.warn('⚠️ BroadcastChannel unavailable, cart will not sync across tabs:', error);
+    }
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  publish(message) {
+    if (!this.channel) return;
+    
+    try {
+      this.channel.postMessage(message);
+    } catch (error) {
+      console.warn('⚠️ Could not broadcast cart change:', error);
+    }
+  }
+
+  receive(message) {
+    for (const handler of this.handlers) {
+      handler(message);
+    }
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+}
+
+class CartIdentityStore {
+  constructor(storage = window.localStorage, key = 'eventSourcingCart.aggregateId', prefix = 'cart_') {
+    this.storage = storage;
+    this.key = key;
+    this.prefix = prefix;
+  }
+
+  load() {
+    try {
+      return this.storage.getItem(this.key);
+    } catch (error) {
+      console.warn('⚠️ Cart identity could not be read:', error);
+      return null;
+    }
+  }
+
+  assign() {
+    const aggregateId = `${this.prefix}${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    
+    try {
+      this.storage.setItem(this.key, aggregateId);
+    } catch (error) {
+      console.warn('⚠️ Cart identity could not be persisted:', error);
+    }
+    
+    return aggregateId;
+  }
 }
 
 class Command {
@@ -424,7 +1960,7 @@ class Event {
     this.type = type;
     this.data = data;
     this.timestamp = Date.now();
-    this.version = 1;
+    this.version = cartEventRegistry.getSchemaVersion(type);
   }
 
   generateId() {
@@ -467,6 +2003,41 @@ class DiscountCodeAppliedEvent extends Event {
   }
 }
 
+class DiscountCodeRejectedEvent extends Event {
+  constructor(data) {
+    super('DiscountCodeRejected', data);
+    Object.assign(this, data);
+  }
+}
+
+class DiscountCodeRemovedEvent extends Event {
+  constructor(data) {
+    super('DiscountCodeRemoved', data);
+    Object.assign(this, data);
+  }
+}
+
+class DiscountsRecalculatedEvent extends Event {
+  constructor(data) {
+    super('DiscountsRecalculated', data);
+    Object.assign(this, data);
+  }
+}
+
+class TaxCountryChangedEvent extends Event {
+  constructor(data) {
+    super('TaxCountryChanged', data);
+    Object.assign(this, data);
+  }
+}
+
+class ShippingMethodSelectedEvent extends Event {
+  constructor(data) {
+    super('ShippingMethodSelected', data);
+    Object.assign(this, data);
+  }
+}
+
 class TaxesRecalculatedEvent extends Event {
   constructor(data) {
     super('TaxesRecalculated', data);
@@ -474,6 +2045,34 @@ class TaxesRecalculatedEvent extends Event {
   }
 }
 
+class CartAbandonedEvent extends Event {
+  constructor(data) {
+    super('CartAbandoned', data);
+    Object.assign(this, data);
+  }
+}
+
+class CartRecoveredEvent extends Event {
+  constructor(data) {
+    super('CartRecovered', data);
+    Object.assign(this, data);
+  }
+}
+
+class CartChangeUndoneEvent extends Event {
+  constructor(data) {
+    super('CartChangeUndone', data);
+    Object.assign(this, data);
+  }
+}
+
+class CartChangeRedoneEvent extends Event {
+  constructor(data) {
+    super('CartChangeRedone', data);
+    Object.assign(this, data);
+  }
+}
+
 class CheckoutInitiatedEvent extends Event {
   constructor(data) {
     super('CheckoutInitiated', data);
@@ -481,6 +2080,428 @@ class CheckoutInitiatedEvent extends Event {
   }
 }
 
+class CheckoutSagaStartedEvent extends Event {
+  constructor(data) {
+    super('CheckoutSagaStarted', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutSagaStepCompletedEvent extends Event {
+  constructor(data) {
+    super('CheckoutSagaStepCompleted', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutSagaStepFailedEvent extends Event {
+  constructor(data) {
+    super('CheckoutSagaStepFailed', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutSagaStepCompensatedEvent extends Event {
+  constructor(data) {
+    super('CheckoutSagaStepCompensated', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutSagaCompensationFailedEvent extends Event {
+  constructor(data) {
+    super('CheckoutSagaCompensationFailed', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutCompletedEvent extends Event {
+  constructor(data) {
+    super('CheckoutCompleted', data);
+    Object.assign(this, data);
+  }
+}
+
+class CheckoutFailedEvent extends Event {
+  constructor(data) {
+    super('CheckoutFailed', data);
+    Object.assign(this, data);
+  }
+}
+
+class EventTypeRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  register(type, eventClass, { version = 1, schema = {} } = {}) {
+    this.definitions.set(type, {
+      type,
+      eventClass,
+      version,
+      schema,
+      upcasters: new Map()
+    });
+    return this;
+  }
+
+  registerUpcaster(type, fromVersion, upcaster) {
+    const definition = this.getDefinition(type);
+    if (fromVersion >= definition.version) {
+      throw new Error(`Upcaster for ${type} v${fromVersion} must target a version below v${definition.version}`);
+    }
+    definition.upcasters.set(fromVersion, upcaster);
+    return this;
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  getDefinition(type) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw new UnknownEventTypeError(type);
+    }
+    return definition;
+  }
+
+  getSchemaVersion(type) {
+    const definition = this.definitions.get(type);
+    return definition ? definition.version : 1;
+  }
+
+  upcast(type, data, fromVersion, metadata = {}) {
+    const definition = this.getDefinition(type);
+    
+    if (fromVersion > definition.version) {
+      throw new Error(`${type} v${fromVersion} is newer than the supported v${definition.version}`);
+    }
+    
+    let upcasted = data;
+    for (let version = fromVersion; version < definition.version; version++) {
+      const upcaster = definition.upcasters.get(version);
+      if (!upcaster) {
+        throw new Error(`No upcaster registered for ${type} v${version}`);
+      }
+      upcasted = upcaster(upcasted, metadata);
+    }
+    
+    return upcasted;
+  }
+
+  validate(type, data) {
+    const definition = this.getDefinition(type);
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new EventSchemaValidationError(type, ['Payload must be an object']);
+    }
+    
+    const errors = validateSchema(definition.schema, data);
+    
+    if (errors.length > 0) {
+      throw new EventSchemaValidationError(type, errors);
+    }
+  }
+
+  deserialize(record) {
+    const definition = this.getDefinition(record.eventType);
+    const schemaVersion = record.metadata.schemaVersion || 1;
+    const data = this.upcast(record.eventType, structuredClone(record.eventData), schemaVersion, record.metadata);
+    
+    this.validate(record.eventType, data);
+    
+    const event = new definition.eventClass(data);
+    event.eventId = record.metadata.eventId || event.eventId;
+    event.timestamp = record.metadata.timestamp;
+    
+    return event;
+  }
+}
+
+function validateSchema(schema, data) {
+  const errors = [];
+  
+  for (const [field, rule] of Object.entries(schema)) {
+    const optional = rule.endsWith('?');
+    const expectedType = optional ? rule.slice(0, -1) : rule;
+    const value = data[field];
+    
+    if (value === undefined || value === null) {
+      if (!optional) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (expectedType !== 'any' && actualType !== expectedType) {
+      errors.push(`${field} must be ${expectedType}, got ${actualType}`);
+    } else if (actualType === 'number' && !Number.isFinite(value)) {
+      errors.push(`${field} must be a finite number`);
+    }
+  }
+  
+  return errors;
+}
+
+const cartCommandSchemas = {
+  AddItemToCart: {
+    itemId: 'string',
+    name: 'string?',
+    price: 'number',
+    category: 'string?',
+    taxClass: 'string?',
+    quantity: 'number?'
+  },
+  ImportLegacyCart: { items: 'array' },
+  RemoveItemFromCart: { itemId: 'string' },
+  UpdateItemQuantity: {
+    itemId: 'string',
+    newQuantity: 'number?',
+    delta: 'number?'
+  },
+  ApplyDiscountCode: { code: 'string' },
+  RemoveDiscountCode: { code: 'string' },
+  SetTaxCountry: { country: 'string' },
+  SelectShippingMethod: { methodId: 'string' },
+  MarkCartAbandoned: { detectedAt: 'number?' },
+  RecoverCart: {},
+  InitiateCheckout: {},
+  RecordCheckoutOutcome: { outcome: 'object' },
+  UndoLastChange: {},
+  RedoLastChange: {}
+};
+
+const cartEventRegistry = new EventTypeRegistry()
+  .register('ItemAddedToCart', ItemAddedToCartEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      name: 'string?',
+      price: 'number',
+      category: 'string?',
+      taxClass: 'string?',
+      quantity: 'number',
+      timestamp: 'number',
+      correlationId: 'string?',
+      causationId: 'string?',
+      compensates: 'string?'
+    }
+  })
+  .register('ItemRemovedFromCart', ItemRemovedFromCartEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      reason: 'string?',
+      timestamp: 'number',
+      correlationId: 'string?',
+      compensates: 'string?'
+    }
+  })
+  .register('ItemQuantityUpdated', ItemQuantityUpdatedEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      oldQuantity: 'number?',
+      newQuantity: 'number',
+      timestamp: 'number',
+      correlationId: 'string?',
+      causationId: 'string?',
+      compensates: 'string?'
+    }
+  })
+  .register('DiscountApplied', DiscountAppliedEvent, {
+    version: 1,
+    schema: {
+      discountType: 'string',
+      amount: 'number',
+      reason: 'string?'
+    }
+  })
+  .register('DiscountCodeApplied', DiscountCodeAppliedEvent, {
+    version: 1,
+    schema: {
+      code: 'string',
+      discount: 'object',
+      timestamp: 'number'
+    }
+  })
+  .register('DiscountCodeRejected', DiscountCodeRejectedEvent, {
+    version: 1,
+    schema: {
+      code: 'string',
+      reason: 'string',
+      message: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('DiscountCodeRemoved', DiscountCodeRemovedEvent, {
+    version: 1,
+    schema: {
+      code: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('DiscountsRecalculated', DiscountsRecalculatedEvent, {
+    version: 1,
+    schema: {
+      discounts: 'array',
+      timestamp: 'number'
+    }
+  })
+  .register('TaxCountryChanged', TaxCountryChangedEvent, {
+    version: 1,
+    schema: {
+      country: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('TaxesRecalculated', TaxesRecalculatedEvent, {
+    version: 2,
+    schema: {
+      country: 'string',
+      pricesIncludeTax: 'boolean',
+      taxAmount: 'number',
+      lines: 'array',
+      timestamp: 'number'
+    }
+  })
+  .registerUpcaster('TaxesRecalculated', 1, (data, metadata) => ({
+    country: 'legacy',
+    pricesIncludeTax: false,
+    taxAmount: data.taxAmount,
+    lines: [{
+      itemId: null,
+      taxClass: 'standard',
+      rate: data.taxRate,
+      taxableAmount: data.taxRate ? data.taxAmount / data.taxRate : 0,
+      amount: data.taxAmount,
+      included: false
+    }],
+    timestamp: metadata.timestamp
+  }))
+  .register('ShippingMethodSelected', ShippingMethodSelectedEvent, {
+    version: 1,
+    schema: {
+      methodId: 'string?',
+      carrier: 'string?',
+      service: 'string?',
+      deliveryDays: 'string?',
+      country: 'string',
+      zone: 'string?',
+      amount: 'number',
+      selectedBy: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('CartAbandoned', CartAbandonedEvent, {
+    version: 1,
+    schema: {
+      lastActivityAt: 'number',
+      itemCount: 'number',
+      value: 'number',
+      timestamp: 'number'
+    }
+  })
+  .register('CartRecovered', CartRecoveredEvent, {
+    version: 1,
+    schema: {
+      abandonedAt: 'number?',
+      timestamp: 'number'
+    }
+  })
+  .register('CartChangeUndone', CartChangeUndoneEvent, {
+    version: 1,
+    schema: {
+      changeId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('CartChangeRedone', CartChangeRedoneEvent, {
+    version: 1,
+    schema: {
+      changeId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('CheckoutInitiated', CheckoutInitiatedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      cartSnapshot: 'object',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutSagaStarted', CheckoutSagaStartedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      cartId: 'string',
+      context: 'object',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutSagaStepCompleted', CheckoutSagaStepCompletedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      step: 'string',
+      result: 'object',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutSagaStepFailed', CheckoutSagaStepFailedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      step: 'string',
+      reason: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutSagaStepCompensated', CheckoutSagaStepCompensatedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      step: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutSagaCompensationFailed', CheckoutSagaCompensationFailedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      step: 'string',
+      reason: 'string',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutCompleted', CheckoutCompletedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      cartId: 'string',
+      orderId: 'string',
+      amount: 'number',
+      timestamp: 'number'
+    }
+  })
+  .register('CheckoutFailed', CheckoutFailedEvent, {
+    version: 1,
+    schema: {
+      sagaId: 'string',
+      cartId: 'string',
+      step: 'string',
+      reason: 'string',
+      uncompensatedSteps: 'array?',
+      timestamp: 'number'
+    }
+  });
+
 class CartItemsProjection {
   constructor() {
     this.items = new Map();
@@ -489,10 +2510,16 @@ class CartItemsProjection {
   handle(event) {
     switch (event.type) {
       case 'ItemAddedToCart':
+        if (this.items.has(event.itemId)) {
+          this.items.get(event.itemId).quantity += event.quantity;
+          break;
+        }
         this.items.set(event.itemId, {
           id: event.itemId,
           name: event.name,
           price: event.price,
+          category: event.category,
+          taxClass: event.taxClass,
           quantity: event.quantity,
           addedAt: event.timestamp
         });
@@ -516,20 +2543,119 @@ class CartItemsProjection {
 
 class CartTotalsProjection {
   constructor() {
+    this.lines = new Map();
+    this.discounts = [];
+    this.taxes = [];
+    this.shipping = 0;
     this.totals = {
+      itemCount: 0,
       subtotal: 0,
       discounts: 0,
       taxes: 0,
+      includedTaxes: 0,
+      shipping: 0,
       total: 0
     };
   }
 
   handle(event) {
+    switch (event.type) {
+      case 'ItemAddedToCart': {
+        const line = this.lines.get(event.itemId);
+        if (line) {
+          line.quantity += event.quantity;
+        } else {
+          this.lines.set(event.itemId, { price: event.price, quantity: event.quantity });
+        }
+        break;
+      }
+      case 'ItemRemovedFromCart':
+        this.lines.delete(event.itemId);
+        break;
+      case 'ItemQuantityUpdated':
+        if (this.lines.has(event.itemId)) {
+          this.lines.get(event.itemId).quantity = event.newQuantity;
+        }
+        break;
+      case 'DiscountApplied':
+        this.discounts.push({ description: event.reason, code: null, amount: event.amount });
+        break;
+      case 'DiscountsRecalculated':
+        this.discounts = event.discounts.map(discount => ({
+          description: discount.description,
+          code: discount.code,
+          amount: discount.amount
+        }));
+        break;
+      case 'ShippingMethodSelected':
+        this.shipping = event.amount;
+        break;
+      case 'TaxesRecalculated':
+        this.taxes = event.lines.map(line => ({
+          rate: line.rate,
+          amount: line.amount,
+          included: line.included
+        }));
+        break;
+      default:
+        return;
+    }
+    
     this.recalculate();
   }
 
   recalculate() {
-    // Implementation would recalculate based on events
+    const lines = Array.from(this.lines.values());
+    const subtotal = this.sum(lines.map(line => Money.of(line.price).multiply(line.quantity)));
+    const discounts = this.sum(this.discounts.map(discount => discount.amount));
+    const taxes = this.sum(this.taxes.filter(tax => !tax.included).map(tax => tax.amount));
+    const includedTaxes = this.sum(this.taxes.filter(tax => tax.included).map(tax => tax.amount));
+    
+    this.totals = {
+      itemCount: lines.reduce((count, line) => count + line.quantity, 0),
+      subtotal: subtotal,
+      discounts: discounts,
+      taxes: taxes,
+      includedTaxes: includedTaxes,
+      shipping: this.shipping,
+      total: this.sum([subtotal, -discounts, taxes, this.shipping])
+    };
+  }
+
+  getTotals() {
+    return {
+      ...this.totals,
+      breakdown: {
+        discounts: this.discounts.map(discount => ({ ...discount })),
+        taxes: this.groupTaxesByRate()
+      }
+    };
+  }
+
+  groupTaxesByRate() {
+    const groups = new Map();
+    
+    for (const tax of this.taxes) {
+      const key = `${tax.rate}:${tax.included}`;
+      const group = groups.get(key) || { rate: tax.rate, included: tax.included, amount: 0 };
+      group.amount = this.sum([group.amount, tax.amount]);
+      groups.set(key, group);
+    }
+    
+    return Array.from(groups.values());
+  }
+
+  getMoneyTotals() {
+    const { itemCount, ...amounts } = this.totals;
+    
+    return {
+      itemCount: itemCount,
+      ...Object.fromEntries(Object.entries(amounts).map(([name, amount]) => [name, Money.of(amount)]))
+    };
+  }
+
+  sum(amounts) {
+    return Money.sum(amounts).toNumber();
   }
 }
 
@@ -538,15 +2664,52 @@ class DiscountHistoryProjection {
     this.history = [];
   }
 
-  handle(event) {
-    if (event.type === 'DiscountApplied' || event.type === 'DiscountCodeApplied') {
-      this.history.push({
-        type: event.discountType,
-        amount: event.amount,
-        appliedAt: event.timestamp
-      });
+  handle(event, context = {}) {
+    switch (event.type) {
+      case 'DiscountApplied':
+        this.history.push({
+          cartId: context.aggregateId,
+          type: event.discountType,
+          amount: event.amount,
+          appliedAt: event.timestamp
+        });
+        break;
+      case 'DiscountCodeApplied':
+        this.history.push({
+          cartId: context.aggregateId,
+          type: 'code',
+          code: event.code,
+          amount: event.discount ? event.discount.amount : 0,
+          appliedAt: event.timestamp
+        });
+        break;
+      case 'DiscountCodeRejected':
+        this.history.push({
+          cartId: context.aggregateId,
+          type: 'rejected',
+          code: event.code,
+          reason: event.reason,
+          appliedAt: event.timestamp
+        });
+        break;
+      case 'DiscountCodeRemoved':
+        this.history.push({
+          cartId: context.aggregateId,
+          type: 'removed',
+          code: event.code,
+          appliedAt: event.timestamp
+        });
+        break;
     }
   }
+
+  getState() {
+    return { history: this.history };
+  }
+
+  setState(state) {
+    this.history = state.history;
+  }
 }
 
 class CartAnalyticsProjection {
@@ -575,89 +2738,558 @@ class CartAnalyticsProjection {
         break;
     }
   }
+
+  getState() {
+    return { analytics: this.analytics };
+  }
+
+  setState(state) {
+    this.analytics = state.analytics;
+  }
 }
 
 class AbandonedCartProjection {
-  constructor() {
+  constructor(threshold = 3600000) {
     this.abandonedCarts = [];
-    this.threshold = 3600000; // 1 hour
+    this.threshold = threshold;
+    this.carts = new Map();
   }
 
-  handle(event) {
-    // Track cart activity and identify abandoned carts
+  handle(event, context = {}) {
+    const cart = this.getOrCreateCart(context.aggregateId);
+    
+    switch (event.type) {
+      case 'CartAbandoned':
+        cart.status = 'abandoned';
+        cart.abandonedAt = event.timestamp;
+        this.abandonedCarts.push({
+          cartId: cart.cartId,
+          lastActivityAt: event.lastActivityAt,
+          abandonedAt: event.timestamp,
+          itemCount: event.itemCount,
+          value: event.value
+        });
+        return;
+      case 'CartRecovered':
+        cart.status = 'recovered';
+        cart.recoveredAt = event.timestamp;
+        break;
+      case 'CheckoutInitiated':
+        cart.status = 'checking_out';
+        break;
+      case 'CheckoutCompleted':
+        cart.recoveredConversion = cart.recoveredAt !== null;
+        cart.status = 'converted';
+        cart.convertedAt = event.timestamp;
+        break;
+      case 'CheckoutFailed':
+        cart.status = cart.recoveredAt !== null ? 'recovered' : 'active';
+        break;
+      case 'ItemAddedToCart':
+        cart.quantities.set(event.itemId, (cart.quantities.get(event.itemId) || 0) + event.quantity);
+        break;
+      case 'ItemRemovedFromCart':
+        cart.quantities.delete(event.itemId);
+        break;
+      case 'ItemQuantityUpdated':
+        cart.quantities.set(event.itemId, event.newQuantity);
+        break;
+    }
+    
+    if (cart.status === 'abandoned') {
+      cart.status = 'recovered';
+      cart.recoveredAt = event.timestamp;
+    }
+    
+    cart.lastActivityAt = event.timestamp;
+    cart.itemCount = Array.from(cart.quantities.values()).reduce((sum, quantity) => sum + quantity, 0);
+  }
+
+  getOrCreateCart(cartId) {
+    if (!this.carts.has(cartId)) {
+      this.carts.set(cartId, {
+        cartId: cartId,
+        status: 'active',
+        quantities: new Map(),
+        itemCount: 0,
+        lastActivityAt: null,
+        abandonedAt: null,
+        recoveredAt: null,
+        convertedAt: null,
+        recoveredConversion: false
+      });
+    }
+    return this.carts.get(cartId);
+  }
+
+  getCart(cartId) {
+    return this.carts.get(cartId) || null;
+  }
+
+  isAbandoned(cartId, now = Date.now()) {
+    const cart = this.getCart(cartId);
+    
+    return Boolean(cart) &&
+      (cart.status === 'active' || cart.status === 'recovered') &&
+      cart.itemCount > 0 &&
+      now - cart.lastActivityAt >= this.threshold;
+  }
+
+  getState() {
+    return { carts: this.carts, abandonedCarts: this.abandonedCarts };
+  }
+
+  setState(state) {
+    this.carts = state.carts;
+    this.abandonedCarts = state.abandonedCarts;
+  }
+}
+
+class ProjectionManager {
+  constructor(eventStore, options = {}) {
+    this.eventStore = eventStore;
+    this.eventRegistry = options.eventRegistry || cartEventRegistry;
+    this.checkpointInterval = options.checkpointInterval || 20;
+    this.projections = new Map();
+    this.started = false;
+  }
+
+  register(name, factory, { filter = () => true, checkpoint = false } = {}) {
+    this.projections.set(name, {
+      name: name,
+      factory: factory,
+      filter: filter,
+      checkpoint: checkpoint,
+      instance: factory(),
+      position: 0,
+      sinceCheckpoint: 0,
+      status: 'idle',
+      error: null,
+      queue: Promise.resolve()
+    });
+    
+    if (this.started) {
+      return this.enqueue(name, entry => this.catchUp(entry));
+    }
+  }
+
+  get(name) {
+    const entry = this.projections.get(name);
+    return entry ? entry.instance : undefined;
+  }
+
+  async start() {
+    this.started = true;
+    
+    await Promise.all(Array.from(this.projections.keys()).map(name =>
+      this.enqueue(name, async entry => {
+        await this.restoreCheckpoint(entry);
+        await this.catchUp(entry);
+      })
+    ));
+  }
+
+  async dispatch(records) {
+    if (records.length === 0) return;
+    
+    const ordered = [...records].sort((a, b) => a.globalPosition - b.globalPosition);
+    
+    await Promise.all(Array.from(this.projections.keys()).map(name =>
+      this.enqueue(name, async entry => {
+        if (entry.status !== 'live') return;
+        
+        if (ordered[0].globalPosition > entry.position + 1) {
+          await this.catchUp(entry);
+        } else {
+          this.process(entry, ordered);
+          await this.saveCheckpoint(entry);
+        }
+      })
+    ));
+  }
+
+  rebuild(name) {
+    return this.enqueue(name, async entry => {
+      console.log(`🔁 Rebuilding projection ${name}`);
+      
+      entry.instance = entry.factory();
+      entry.position = 0;
+      entry.sinceCheckpoint = 0;
+      entry.error = null;
+      
+      await this.catchUp(entry);
+      await this.saveCheckpoint(entry, true);
+      
+      return entry.instance;
+    });
+  }
+
+  getStatus() {
+    return Array.from(this.projections.values()).map(entry => ({
+      name: entry.name,
+      status: entry.status,
+      position: entry.position,
+      error: entry.error ? entry.error.message : null
+    }));
+  }
+
+  enqueue(name, task) {
+    const entry = this.projections.get(name);
+    if (!entry) {
+      return Promise.reject(new Error(`Unknown projection: ${name}`));
+    }
+    
+    const run = () => task(entry);
+    const result = entry.queue.then(run, run);
+    entry.queue = result.catch(() => {});
+    
+    return result;
+  }
+
+  async catchUp(entry) {
+    entry.status = 'catching_up';
+    
+    const records = await this.eventStore.getAllEvents(entry.position);
+    this.process(entry, records);
+    
+    if (entry.status === 'catching_up') {
+      entry.status = 'live';
+    }
+    
+    await this.saveCheckpoint(entry);
+  }
+
+  process(entry, records) {
+    for (const record of records) {
+      if (entry.status === 'failed') return;
+      if (record.globalPosition <= entry.position) continue;
+      
+      if (entry.filter(record)) {
+        try {
+          entry.instance.handle(this.eventRegistry.deserialize(record), {
+            aggregateId: record.streamId,
+            globalPosition: record.globalPosition
+          });
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = error;
+          console.error(`❌ Projection ${entry.name} failed at position ${record.globalPosition}:`, error);
+          return;
+        }
+      }
+      
+      entry.position = record.globalPosition;
+      entry.sinceCheckpoint++;
+    }
+  }
+
+  async restoreCheckpoint(entry) {
+    if (!entry.checkpoint || !entry.instance.setState) return;
+    
+    const checkpoint = await this.eventStore.getLatestSnapshot(this.checkpointId(entry.name));
+    if (checkpoint) {
+      entry.instance.setState(checkpoint.state);
+      entry.position = checkpoint.aggregateVersion;
+      console.log(`📍 Projection ${entry.name} resumed from position ${entry.position}`);
+    }
+  }
+
+  async saveCheckpoint(entry, force = false) {
+    if (!entry.checkpoint || !entry.instance.getState || entry.status === 'failed') return;
+    if (!force && entry.sinceCheckpoint < this.checkpointInterval) return;
+    
+    await this.eventStore.saveSnapshot({
+      aggregateId: this.checkpointId(entry.name),
+      aggregateVersion: entry.position,
+      state: entry.instance.getState(),
+      timestamp: Date.now()
+    });
+    entry.sinceCheckpoint = 0;
+  }
+
+  checkpointId(name) {
+    return `projection:${name}`;
   }
 }
 
 class CartSagaManager {
-  constructor() {
+  constructor(options = {}) {
     this.sagas = new Map();
+    this.eventStore = options.eventStore;
+    this.eventRegistry = options.eventRegistry || cartEventRegistry;
+    this.ports = options.ports || createLocalCheckoutPorts();
+  }
+
+  generateSagaId() {
+    return `saga_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  async runCheckoutSaga(sagaId, context) {
+    const saga = await this.loadSaga(sagaId);
+    
+    if (saga.state === 'pending') {
+      await saga.begin(context);
+    }
+    
+    return await saga.execute();
   }
 
-  startCheckoutSaga(context) {
-    const saga = new CheckoutSaga(context);
-    this.sagas.set(saga.id, saga);
-    saga.start();
+  async loadSaga(sagaId) {
+    if (this.sagas.has(sagaId)) {
+      return this.sagas.get(sagaId);
+    }
+    
+    const saga = new CheckoutSaga(sagaId, {
+      eventStore: this.eventStore,
+      eventRegistry: this.eventRegistry,
+      ports: this.ports
+    });
+    await saga.load();
+    this.sagas.set(sagaId, saga);
+    
     return saga;
   }
 }
 
 class CheckoutSaga {
-  constructor(context) {
-    this.id = `saga_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    this.context = context;
-    this.state = 'started';
-    this.compensations = [];
+  constructor(id, { eventStore, eventRegistry, ports }) {
+    this.id = id;
+    this.eventStore = eventStore;
+    this.eventRegistry = eventRegistry;
+    this.ports = ports;
+    this.version = 0;
+    this.state = 'pending';
+    this.context = null;
+    this.results = {};
+    this.completedSteps = [];
+    this.compensatedSteps = [];
+    this.failedCompensations = [];
+    this.failure = null;
+    this.outcome = null;
+    this.steps = [
+      { name: 'reserveInventory', compensation: 'releaseInventory' },
+      { name: 'calculateShipping' },
+      { name: 'processPayment', compensation: 'refundPayment' },
+      { name: 'createOrder', compensation: 'cancelOrder' },
+      { name: 'commitInventory' },
+      { name: 'sendConfirmation' }
+    ];
   }
 
-  async start() {
-    try {
-      await this.reserveInventory();
-      await this.calculateShipping();
-      await this.processPayment();
-      await this.createOrder();
-      await this.sendConfirmation();
+  async load() {
+    const records = await this.eventStore.getEvents(this.id, 0);
+    
+    for (const record of records) {
+      this.apply(this.eventRegistry.deserialize(record));
+    }
+  }
+
+  async begin(context) {
+    await this.record(new CheckoutSagaStartedEvent({
+      sagaId: this.id,
+      cartId: context.cartId,
+      context: context,
+      timestamp: Date.now()
+    }));
+  }
+
+  async execute() {
+    if (this.outcome) {
+      return this.outcome;
+    }
+    
+    if (this.state === 'compensating') {
+      return await this.compensate();
+    }
+    
+    for (const step of this.steps) {
+      if (this.completedSteps.includes(step.name)) continue;
       
-      this.state = 'completed';
-    } catch (error) {
-      await this.compensate();
-      this.state = 'failed';
-      throw error;
+      let result;
+      try {
+        result = await this[step.name]();
+      } catch (error) {
+        console.error(`❌ Checkout step ${step.name} failed:`, error);
+        await this.record(new CheckoutSagaStepFailedEvent({
+          sagaId: this.id,
+          step: step.name,
+          reason: error.message,
+          timestamp: Date.now()
+        }));
+        return await this.compensate();
+      }
+      
+      await this.record(new CheckoutSagaStepCompletedEvent({
+        sagaId: this.id,
+        step: step.name,
+        result: result || {},
+        timestamp: Date.now()
+      }));
     }
+    
+    await this.record(new CheckoutCompletedEvent({
+      sagaId: this.id,
+      cartId: this.context.cartId,
+      orderId: this.results.createOrder.orderId,
+      amount: this.results.processPayment.amount,
+      timestamp: Date.now()
+    }));
+    
+    return this.outcome;
   }
 
   async compensate() {
-    for (const compensation of this.compensations.reverse()) {
-      await compensation();
+    for (const step of [...this.steps].reverse()) {
+      if (!step.compensation ||
+        !this.completedSteps.includes(step.name) ||
+        this.compensatedSteps.includes(step.name) ||
+        this.failedCompensations.includes(step.name)) continue;
+      
+      // A compensation that fails is recorded and left for follow-up, so the saga still reaches an outcome
+      try {
+        await this[step.compensation](this.results[step.name]);
+      } catch (error) {
+        console.error(`❌ Checkout compensation ${step.compensation} failed:`, error);
+        await this.record(new CheckoutSagaCompensationFailedEvent({
+          sagaId: this.id,
+          step: step.name,
+          reason: error.message,
+          timestamp: Date.now()
+        }));
+        continue;
+      }
+      
+      await this.record(new CheckoutSagaStepCompensatedEvent({
+        sagaId: this.id,
+        step: step.name,
+        timestamp: Date.now()
+      }));
+    }
+    
+    await this.record(new CheckoutFailedEvent({
+      sagaId: this.id,
+      cartId: this.context.cartId,
+      step: this.failure.step,
+      reason: this.failure.reason,
+      uncompensatedSteps: [...this.failedCompensations],
+      timestamp: Date.now()
+    }));
+    
+    return this.outcome;
+  }
+
+  async record(event) {
+    this.eventRegistry.validate(event.type, event.data);
+    
+    await this.eventStore.append({
+      streamId: this.id,
+      eventType: event.type,
+      eventData: event.data,
+      metadata: {
+        eventId: event.eventId,
+        schemaVersion: event.version,
+        aggregateVersion: this.version + 1,
+        timestamp: event.timestamp
+      }
+    }, this.version);
+    
+    this.apply(event);
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case 'CheckoutSagaStarted':
+        this.state = 'running';
+        this.context = event.context;
+        break;
+      case 'CheckoutSagaStepCompleted':
+        this.completedSteps.push(event.step);
+        this.results[event.step] = event.result;
+        break;
+      case 'CheckoutSagaStepFailed':
+        this.state = 'compensating';
+        this.failure = { step: event.step, reason: event.reason };
+        break;
+      case 'CheckoutSagaStepCompensated':
+        this.compensatedSteps.push(event.step);
+        break;
+      case 'CheckoutSagaCompensationFailed':
+        this.failedCompensations.push(event.step);
+        break;
+      case 'CheckoutCompleted':
+        this.state = 'completed';
+        this.outcome = { status: 'completed', ...event.data };
+        break;
+      case 'CheckoutFailed':
+        this.state = 'failed';
+        this.outcome = { status: 'failed', ...event.data };
+        break;
     }
+    
+    this.version++;
   }
 
   async reserveInventory() {
-    console.log('📦 Reserving inventory...');
-    this.compensations.push(async () => {
-      console.log('🔄 Releasing inventory reservation...');
+    return await this.ports.inventory.reserve({
+      reservationKey: this.id,
+      items: this.context.items
     });
   }
 
+  async releaseInventory(reservation) {
+    await this.ports.inventory.release(reservation.reservationId);
+  }
+
+  async commitInventory() {
+    return await this.ports.inventory.commit(this.results.reserveInventory.reservationId);
+  }
+
   async calculateShipping() {
-    console.log('🚚 Calculating shipping...');
+    return await this.ports.shipping.quote({
+      items: this.context.items,
+      country: this.context.taxCountry,
+      subtotal: this.merchandiseTotal(),
+      methodId: this.context.shipping ? this.context.shipping.methodId : null
+    });
   }
 
   async processPayment() {
-    console.log('💳 Processing payment...');
-    this.compensations.push(async () => {
-      console.log('💰 Refunding payment...');
+    return await this.ports.payment.charge({
+      idempotencyKey: this.id,
+      amount: Money.of(this.merchandiseTotal()).add(this.results.calculateShipping.amount).toNumber(),
+      currency: 'EUR'
     });
   }
 
+  merchandiseTotal() {
+    const shipping = this.context.shipping ? this.context.shipping.amount : 0;
+    return Money.of(this.context.total).subtract(shipping).toNumber();
+  }
+
+  async refundPayment(payment) {
+    await this.ports.payment.refund(payment.paymentId);
+  }
+
   async createOrder() {
-    console.log('📝 Creating order...');
-    this.compensations.push(async () => {
-      console.log('❌ Cancelling order...');
+    return await this.ports.orders.create({
+      sagaId: this.id,
+      cartId: this.context.cartId,
+      items: this.context.items,
+      discounts: this.context.discounts,
+      taxes: this.context.taxes,
+      taxCountry: this.context.taxCountry,
+      shipping: this.results.calculateShipping,
+      paymentId: this.results.processPayment.paymentId,
+      total: this.results.processPayment.amount
     });
   }
 
+  async cancelOrder(order) {
+    await this.ports.orders.cancel(order.orderId);
+  }
+
   async sendConfirmation() {
-    console.log('📧 Sending confirmation...');
+    return await this.ports.orders.sendConfirmation(this.results.createOrder.orderId);
   }
 }
 
@@ -668,6 +3300,51 @@ class CommandValidationError extends Error {
   }
 }
 
+class UnknownEventTypeError extends Error {
+  constructor(eventType) {
+    super(`Unknown event type: ${eventType}`);
+    this.eventType = eventType;
+  }
+}
+
+class EventSchemaValidationError extends Error {
+  constructor(eventType, errors) {
+    super(`Invalid ${eventType} event: ${errors.join(', ')}`);
+    this.eventType = eventType;
+    this.errors = errors;
+  }
+}
+
+class ConcurrencyConflictError extends Error {
+  constructor(streamId, expectedVersion, actualVersion) {
+    super(`Concurrency conflict on ${streamId}: expected version ${expectedVersion}, found ${actualVersion === null ? 'a newer version' : actualVersion}`);
+    this.streamId = streamId;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+class CheckoutInProgressError extends Error {
+  constructor(sagaId) {
+    super(`Checkout ${sagaId} is already in progress`);
+    this.sagaId = sagaId;
+  }
+}
+
+class CartStreamImportError extends Error {
+  constructor(errors) {
+    super(`Cart stream import failed: ${errors.join(', ')}`);
+    this.errors = errors;
+  }
+}
+
+class CommandUnauthorizedError extends Error {
+  constructor(commandName) {
+    super(`Not allowed to run ${commandName}`);
+    this.commandName = commandName;
+  }
+}
+
 class ItemNotFoundError extends Error {
   constructor(itemId) {
     super(`Item not found: ${itemId}`);
@@ -675,4 +3352,8 @@ class ItemNotFoundError extends Error {
   }
 }
 
-window.EventSourcingCart = EventSourcingCart;
\ No newline at end of file
+window.EventSourcingCart = EventSourcingCart;
+window.InMemoryEventStoreAdapter = InMemoryEventStoreAdapter;
+window.CartEventRegistry = cartEventRegistry;
+window.IndexedDBEventStoreAdapter = IndexedDBEventStoreAdapter;
+window.importCartStream = importCartStream;
\ No newline at end of file
@@ -0,0 +1,325 @@
+class EventSourcingInventory extends EventSourcedAggregate {
+  constructor(options = {}) {
+    super({ syncChannelName: 'toystore-inventory-sync', commandSchemas: inventoryCommandSchemas, ...options });
+    this.aggregateId = options.aggregateId || 'inventory_toystore';
+    this.reservationTtl = options.reservationTtl || 900000;
+    this.lowStockThreshold = options.lowStockThreshold ?? 5;
+    
+    this.initializeCommandHandlers();
+    this.initializeCommandMiddleware();
+    this.initializeEventHandlers();
+    
+    this.ready = this.initialize();
+  }
+
+  getInitialState() {
+    return {
+      products: {},
+      reservations: {}
+    };
+  }
+
+  initializeCommandHandlers() {
+    this.registerCommandHandler('SyncStockLevels', async (command) => {
+      return Object.entries(command.levels)
+        .filter(([productId, quantity]) => this.currentState.products[productId]?.sourceStock !== quantity)
+        .map(([productId, quantity]) => new StockLevelSetEvent({
+          productId: productId,
+          quantity: quantity,
+          timestamp: Date.now()
+        }));
+    });
+    
+    this.registerCommandHandler('ReserveInventory', async (command) => {
+      if (this.findReservation(command.reservationKey)) {
+        return [];
+      }
+      
+      const now = Date.now();
+      const events = Object.values(this.currentState.reservations)
+        .filter(reservation => reservation.status === 'active' && reservation.expiresAt <= now)
+        .map(reservation => new InventoryReservationExpiredEvent({
+          reservationId: reservation.reservationId,
+          timestamp: now
+        }));
+      
+      for (const item of command.items) {
+        const { available } = this.getAvailability(item.productId, now);
+        if (available < item.quantity) {
+          throw new OutOfStockError(item.productId, item.quantity, available);
+        }
+      }
+      
+      events.push(new InventoryReservedEvent({
+        reservationId: `res_${now}_${Math.random().toString(36).substring(2, 9)}`,
+        reservationKey: command.reservationKey,
+        items: command.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+        expiresAt: now + (command.ttl || this.reservationTtl),
+        timestamp: now,
+        correlationId: command.correlationId
+      }));
+      
+      return events;
+    });
+    
+    this.registerCommandHandler('CommitInventoryReservation', async (command) => {
+      const reservation = this.currentState.reservations[command.reservationId];
+      if (reservation && reservation.status === 'committed') {
+        return [];
+      }
+      
+      // Once a reservation lapses its stock is back in the available pool and may already be promised elsewhere
+      if (!reservation || reservation.status !== 'active' || Date.now() > reservation.expiresAt) {
+        throw new CommandValidationError([`Reservation ${command.reservationId} is not active`]);
+      }
+      
+      return [
+        new InventoryReservationCommittedEvent({
+          reservationId: reservation.reservationId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+    
+    this.registerCommandHandler('ReleaseInventoryReservation', async (command) => {
+      const reservation = this.currentState.reservations[command.reservationId];
+      if (!reservation || ['released', 'expired'].includes(reservation.status)) {
+        return [];
+      }
+      
+      return [
+        new InventoryReservationReleasedEvent({
+          reservationId: reservation.reservationId,
+          restocked: reservation.status === 'committed',
+          reason: command.reason,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+  }
+
+  initializeEventHandlers() {
+    this.registerEventHandler('StockLevelSet', (event) => {
+      this.currentState.products[event.productId] = {
+        productId: event.productId,
+        onHand: event.quantity,
+        sourceStock: event.quantity
+      };
+    });
+    
+    this.registerEventHandler('InventoryReserved', (event) => {
+      this.currentState.reservations[event.reservationId] = {
+        reservationId: event.reservationId,
+        reservationKey: event.reservationKey,
+        items: event.items,
+        expiresAt: event.expiresAt,
+        status: 'active'
+      };
+    });
+    
+    this.registerEventHandler('InventoryReservationCommitted', (event) => {
+      const reservation = this.currentState.reservations[event.reservationId];
+      reservation.status = 'committed';
+      this.adjustOnHand(reservation.items, -1);
+    });
+    
+    this.registerEventHandler('InventoryReservationReleased', (event) => {
+      const reservation = this.currentState.reservations[event.reservationId];
+      if (event.restocked) {
+        this.adjustOnHand(reservation.items, 1);
+      }
+      reservation.status = 'released';
+    });
+    
+    this.registerEventHandler('InventoryReservationExpired', (event) => {
+      this.currentState.reservations[event.reservationId].status = 'expired';
+    });
+  }
+
+  adjustOnHand(items, direction) {
+    for (const item of items) {
+      const product = this.currentState.products[item.productId];
+      if (product) {
+        product.onHand += direction * item.quantity;
+      }
+    }
+  }
+
+  findReservation(reservationKey) {
+    return Object.values(this.currentState.reservations).find(reservation =>
+      reservation.reservationKey === reservationKey && ['active', 'committed'].includes(reservation.status)
+    );
+  }
+
+  getAvailability(productId, now = Date.now()) {
+    const product = this.currentState.products[productId];
+    if (!product) {
+      return { productId, onHand: Infinity, reserved: 0, available: Infinity, status: 'untracked' };
+    }
+    
+    const reserved = Object.values(this.currentState.reservations)
+      .filter(reservation => reservation.status === 'active' && reservation.expiresAt > now)
+      .flatMap(reservation => reservation.items)
+      .filter(item => item.productId === productId)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    const available = Math.max(product.onHand - reserved, 0);
+    
+    let status = 'in_stock';
+    if (available === 0) {
+      status = 'out_of_stock';
+    } else if (available <= this.lowStockThreshold) {
+      status = 'low_stock';
+    }
+    
+    return { productId, onHand: product.onHand, reserved, available, status };
+  }
+
+  async syncStockLevels(products) {
+    const levels = Object.fromEntries(products
+      .filter(product => Number.isInteger(product.stock))
+      .map(product => [product.id, product.stock]));
+    
+    return await this.handleCommand('SyncStockLevels', { levels });
+  }
+}
+
+class EventSourcedInventoryPort {
+  constructor(inventory) {
+    this.inventory = inventory;
+  }
+
+  async reserve({ reservationKey, items }) {
+    await this.inventory.handleCommand('ReserveInventory', {
+      reservationKey: reservationKey,
+      items: items.map(item => ({ productId: item.id, quantity: item.quantity }))
+    });
+    
+    const reservation = this.inventory.findReservation(reservationKey);
+    
+    console.log(`📦 Reserved inventory ${reservation.reservationId}`);
+    
+    return {
+      reservationId: reservation.reservationId,
+      reservationKey: reservation.reservationKey,
+      items: reservation.items,
+      expiresAt: reservation.expiresAt
+    };
+  }
+
+  async commit(reservationId) {
+    await this.inventory.handleCommand('CommitInventoryReservation', { reservationId });
+    return { reservationId, committedAt: Date.now() };
+  }
+
+  async release(reservationId) {
+    await this.inventory.handleCommand('ReleaseInventoryReservation', {
+      reservationId: reservationId,
+      reason: 'checkout_compensation'
+    });
+    console.log(`🔄 Released inventory reservation ${reservationId}`);
+  }
+
+  available(itemId) {
+    return this.inventory.getAvailability(itemId).available;
+  }
+}
+
+class StockLevelSetEvent extends Event {
+  constructor(data) {
+    super('StockLevelSet', data);
+    Object.assign(this, data);
+  }
+}
+
+class InventoryReservedEvent extends Event {
+  constructor(data) {
+    super('InventoryReserved', data);
+    Object.assign(this, data);
+  }
+}
+
+class InventoryReservationCommittedEvent extends Event {
+  constructor(data) {
+    super('InventoryReservationCommitted', data);
+    Object.assign(this, data);
+  }
+}
+
+class InventoryReservationReleasedEvent extends Event {
+  constructor(data) {
+    super('InventoryReservationReleased', data);
+    Object.assign(this, data);
+  }
+}
+
+class InventoryReservationExpiredEvent extends Event {
+  constructor(data) {
+    super('InventoryReservationExpired', data);
+    Object.assign(this, data);
+  }
+}
+
+const inventoryCommandSchemas = {
+  SyncStockLevels: { levels: 'object' },
+  ReserveInventory: {
+    reservationKey: 'string',
+    items: 'array',
+    ttl: 'number?'
+  },
+  CommitInventoryReservation: { reservationId: 'string' },
+  ReleaseInventoryReservation: {
+    reservationId: 'string',
+    reason: 'string?'
+  }
+};
+
+cartEventRegistry
+  .register('StockLevelSet', StockLevelSetEvent, {
+    version: 1,
+    schema: {
+      productId: 'string',
+      quantity: 'number',
+      timestamp: 'number'
+    }
+  })
+  .register('InventoryReserved', InventoryReservedEvent, {
+    version: 1,
+    schema: {
+      reservationId: 'string',
+      reservationKey: 'string',
+      items: 'array',
+      expiresAt: 'number',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('InventoryReservationCommitted', InventoryReservationCommittedEvent, {
+    version: 1,
+    schema: {
+      reservationId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('InventoryReservationReleased', InventoryReservationReleasedEvent, {
+    version: 1,
+    schema: {
+      reservationId: 'string',
+      restocked: 'boolean',
+      reason: 'string?',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('InventoryReservationExpired', InventoryReservationExpiredEvent, {
+    version: 1,
+    schema: {
+      reservationId: 'string',
+      timestamp: 'number'
+    }
+  });
+
+window.EventSourcingInventory = EventSourcingInventory;
+window.EventSourcedInventoryPort = EventSourcedInventoryPort;
@@ -0,0 +1,365 @@
+class EventSourcingOrderHistory extends EventSourcedAggregate {
+  constructor(options = {}) {
+    super({ syncChannelName: 'toystore-orders-sync', commandSchemas: orderHistoryCommandSchemas, ...options });
+    this.identityStore = options.identityStore ||
+      new CartIdentityStore(window.localStorage, 'eventSourcingOrderHistory.aggregateId', 'orders_');
+    this.aggregateId = options.aggregateId || this.identityStore.load() || this.identityStore.assign();
+    this.catalog = options.catalog || null;
+    this.inventory = options.inventory || null;
+    
+    this.initializeCommandHandlers();
+    this.initializeCommandMiddleware();
+    this.initializeEventHandlers();
+    this.initializeProjections();
+    
+    this.ready = this.initialize();
+  }
+
+  getInitialState() {
+    return {
+      orders: {}
+    };
+  }
+
+  initializeCommandHandlers() {
+    this.registerCommandHandler('PlaceOrder', async (command) => {
+      if (this.findOrderBySaga(command.sagaId)) {
+        return [];
+      }
+      
+      return [
+        new OrderPlacedEvent({
+          orderId: `order_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+          sagaId: command.sagaId,
+          cartId: command.cartId,
+          items: command.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            price: item.price,
+            category: item.category,
+            taxClass: item.taxClass,
+            quantity: item.quantity
+          })),
+          discounts: command.discounts || [],
+          taxes: command.taxes || [],
+          taxCountry: command.taxCountry,
+          shipping: command.shipping || null,
+          paymentId: command.paymentId,
+          total: command.total,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+    
+    this.registerCommandHandler('ConfirmOrder', async (command) => {
+      const order = this.currentState.orders[command.orderId];
+      if (!order || order.status === 'cancelled') {
+        throw new CommandValidationError([`Order ${command.orderId} cannot be confirmed`]);
+      }
+      
+      if (order.status === 'confirmed') {
+        return [];
+      }
+      
+      return [
+        new OrderConfirmedEvent({
+          orderId: command.orderId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+    
+    this.registerCommandHandler('CancelOrder', async (command) => {
+      const order = this.currentState.orders[command.orderId];
+      if (!order || order.status === 'cancelled') {
+        return [];
+      }
+      
+      return [
+        new OrderCancelledEvent({
+          orderId: command.orderId,
+          reason: command.reason,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+  }
+
+  initializeEventHandlers() {
+    this.registerEventHandler('OrderPlaced', (event) => {
+      this.currentState.orders[event.orderId] = {
+        orderId: event.orderId,
+        sagaId: event.sagaId,
+        items: event.items,
+        status: 'placed'
+      };
+    });
+    
+    this.registerEventHandler('OrderConfirmed', (event) => {
+      this.currentState.orders[event.orderId].status = 'confirmed';
+    });
+    
+    this.registerEventHandler('OrderCancelled', (event) => {
+      this.currentState.orders[event.orderId].status = 'cancelled';
+    });
+  }
+
+  initializeProjections() {
+    const currentHistory = record => record.streamId === this.getAggregateId();
+    
+    this.registerProjection('OrderHistoryProjection', () => new OrderHistoryProjection(), {
+      filter: currentHistory
+    });
+  }
+
+  findOrderBySaga(sagaId) {
+    return Object.values(this.currentState.orders).find(order => order.sagaId === sagaId);
+  }
+
+  getOrders() {
+    return this.getProjection('OrderHistoryProjection').getOrders();
+  }
+
+  getOrder(orderId) {
+    return this.getProjection('OrderHistoryProjection').getOrder(orderId);
+  }
+
+  async reorder(orderId, cart) {
+    await this.ready;
+    
+    const order = this.getOrder(orderId);
+    if (!order) {
+      throw new CommandValidationError([`Order ${orderId} does not exist`]);
+    }
+    
+    const items = [];
+    const skipped = [];
+    
+    for (const line of order.items) {
+      // Reorders are priced from today's catalog, not from what was paid back then
+      const product = this.catalog ? this.catalog.get(line.id) : line;
+      if (!product) {
+        skipped.push({ id: line.id, reason: 'not_in_catalog', quantity: line.quantity });
+        continue;
+      }
+      
+      const existing = cart.findItem(line.id);
+      const inCart = existing ? existing.quantity : 0;
+      const available = this.inventory ? this.inventory.getAvailability(line.id).available : Infinity;
+      const quantity = Math.min(inCart + line.quantity, cart.quantityRules.max, available);
+      const added = Math.max(quantity - inCart, 0);
+      
+      // Only what checkout can reserve is added; the rest is reported back instead of failing the saga later
+      if (added < line.quantity) {
+        skipped.push({
+          id: line.id,
+          reason: available < cart.quantityRules.max ? 'insufficient_stock' : 'quantity_limit',
+          quantity: line.quantity - added
+        });
+      }
+      
+      if (added === 0) {
+        continue;
+      }
+      
+      if (existing) {
+        await cart.handleCommand('UpdateItemQuantity', { itemId: line.id, newQuantity: quantity });
+      } else {
+        await cart.handleCommand('AddItemToCart', {
+          itemId: line.id,
+          name: product.name,
+          price: product.price,
+          category: product.category,
+          taxClass: product.taxClass,
+          quantity: added
+        });
+      }
+      items.push({ id: line.id, name: product.name, price: product.price, quantity: added });
+    }
+    
+    console.log(`🔁 Reordered ${items.length} items from ${orderId}`);
+    
+    return { items, skipped };
+  }
+}
+
+class EventSourcedOrderPort {
+  constructor(history) {
+    this.history = history;
+  }
+
+  async create(order) {
+    await this.history.handleCommand('PlaceOrder', {
+      sagaId: order.sagaId,
+      cartId: order.cartId,
+      items: order.items,
+      discounts: order.discounts,
+      taxes: order.taxes,
+      taxCountry: order.taxCountry,
+      shipping: order.shipping,
+      paymentId: order.paymentId,
+      total: order.total
+    });
+    
+    const created = this.history.findOrderBySaga(order.sagaId);
+    
+    console.log(`📝 Created order ${created.orderId}`);
+    
+    return { orderId: created.orderId, status: created.status };
+  }
+
+  async cancel(orderId) {
+    await this.history.handleCommand('CancelOrder', {
+      orderId: orderId,
+      reason: 'checkout_compensation'
+    });
+    console.log(`❌ Cancelled order ${orderId}`);
+  }
+
+  async sendConfirmation(orderId) {
+    await this.history.handleCommand('ConfirmOrder', { orderId });
+    console.log(`📧 Sent confirmation for order ${orderId}`);
+    return { orderId: orderId, sentAt: Date.now() };
+  }
+}
+
+class OrderPlacedEvent extends Event {
+  constructor(data) {
+    super('OrderPlaced', data);
+    Object.assign(this, data);
+  }
+}
+
+class OrderConfirmedEvent extends Event {
+  constructor(data) {
+    super('OrderConfirmed', data);
+    Object.assign(this, data);
+  }
+}
+
+class OrderCancelledEvent extends Event {
+  constructor(data) {
+    super('OrderCancelled', data);
+    Object.assign(this, data);
+  }
+}
+
+class OrderHistoryProjection {
+  constructor() {
+    this.orders = new Map();
+  }
+
+  handle(event) {
+    switch (event.type) {
+      case 'OrderPlaced':
+        this.orders.set(event.orderId, {
+          orderId: event.orderId,
+          cartId: event.cartId,
+          items: event.items.map(item => ({
+            ...item,
+            lineTotal: Money.of(item.price).multiply(item.quantity).toNumber()
+          })),
+          discounts: event.discounts,
+          taxes: this.groupTaxesByRate(event.taxes),
+          taxCountry: event.taxCountry,
+          shipping: event.shipping,
+          total: event.total,
+          status: 'placed',
+          placedAt: event.timestamp,
+          statusHistory: [{ status: 'placed', timestamp: event.timestamp }]
+        });
+        break;
+      case 'OrderConfirmed':
+      case 'OrderCancelled': {
+        const order = this.orders.get(event.orderId);
+        if (!order) break;
+        
+        order.status = event.type === 'OrderConfirmed' ? 'confirmed' : 'cancelled';
+        order.statusHistory.push({ status: order.status, timestamp: event.timestamp, reason: event.reason });
+        break;
+      }
+    }
+  }
+
+  groupTaxesByRate(taxes) {
+    const groups = new Map();
+    
+    for (const tax of taxes) {
+      const key = `${tax.rate}:${tax.included}`;
+      const group = groups.get(key) || { rate: tax.rate, included: tax.included, amount: 0 };
+      group.amount = Money.of(group.amount).add(tax.amount).toNumber();
+      groups.set(key, group);
+    }
+    
+    return Array.from(groups.values());
+  }
+
+  getOrders() {
+    return Array.from(this.orders.values()).sort((a, b) => b.placedAt - a.placedAt);
+  }
+
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+}
+
+const orderHistoryCommandSchemas = {
+  PlaceOrder: {
+    sagaId: 'string',
+    cartId: 'string',
+    items: 'array',
+    discounts: 'array?',
+    taxes: 'array?',
+    taxCountry: 'string?',
+    shipping: 'object?',
+    paymentId: 'string',
+    total: 'number'
+  },
+  ConfirmOrder: { orderId: 'string' },
+  CancelOrder: {
+    orderId: 'string',
+    reason: 'string?'
+  }
+};
+
+cartEventRegistry
+  .register('OrderPlaced', OrderPlacedEvent, {
+    version: 1,
+    schema: {
+      orderId: 'string',
+      sagaId: 'string',
+      cartId: 'string',
+      items: 'array',
+      discounts: 'array',
+      taxes: 'array',
+      taxCountry: 'string?',
+      shipping: 'object?',
+      paymentId: 'string',
+      total: 'number',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('OrderConfirmed', OrderConfirmedEvent, {
+    version: 1,
+    schema: {
+      orderId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('OrderCancelled', OrderCancelledEvent, {
+    version: 1,
+    schema: {
+      orderId: 'string',
+      reason: 'string?',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  });
+
+window.EventSourcingOrderHistory = EventSourcingOrderHistory;
+window.EventSourcedOrderPort = EventSourcedOrderPort;
@@ -0,0 +1,276 @@
+class EventSourcingWishlist extends EventSourcedAggregate {
+  constructor(options = {}) {
+    super({ syncChannelName: 'toystore-wishlist-sync', commandSchemas: wishlistCommandSchemas, ...options });
+    this.identityStore = options.identityStore ||
+      new CartIdentityStore(window.localStorage, 'eventSourcingWishlist.aggregateId', 'wishlist_');
+    this.aggregateId = options.aggregateId || this.identityStore.load() || this.identityStore.assign();
+    this.cart = options.cart || null;
+    
+    this.initializeCommandHandlers();
+    this.initializeCommandMiddleware();
+    this.initializeEventHandlers();
+    this.initializeProjections();
+    
+    this.ready = this.initialize();
+  }
+
+  getInitialState() {
+    return {
+      items: []
+    };
+  }
+
+  initializeCommandHandlers() {
+    this.registerCommandHandler('AddItemToWishlist', async (command) => {
+      if (this.findItem(command.itemId)) {
+        return [];
+      }
+      
+      return [this.buildItemAddedEvent(command, 'product')];
+    });
+    
+    this.registerCommandHandler('RemoveItemFromWishlist', async (command) => {
+      if (!this.findItem(command.itemId)) {
+        throw new ItemNotFoundError(command.itemId);
+      }
+      
+      return [
+        new WishlistItemRemovedEvent({
+          itemId: command.itemId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+    
+    this.registerCommandHandler('SaveItemForLater', async (command) => {
+      if (this.findItem(command.itemId)) {
+        return [];
+      }
+      
+      return [this.buildItemAddedEvent(command, 'cart')];
+    });
+    
+    this.registerCommandHandler('MoveItemToCart', async (command) => {
+      if (!this.findItem(command.itemId)) {
+        throw new ItemNotFoundError(command.itemId);
+      }
+      
+      return [
+        new WishlistItemMovedToCartEvent({
+          itemId: command.itemId,
+          cartId: command.cartId,
+          timestamp: Date.now(),
+          correlationId: command.correlationId
+        })
+      ];
+    });
+  }
+
+  buildItemAddedEvent(command, source) {
+    return new WishlistItemAddedEvent({
+      itemId: command.itemId,
+      name: command.name,
+      price: command.price,
+      category: command.category,
+      taxClass: command.taxClass,
+      source: source,
+      timestamp: Date.now(),
+      correlationId: command.correlationId,
+      causationId: command.commandId
+    });
+  }
+
+  initializeEventHandlers() {
+    this.registerEventHandler('WishlistItemAdded', (event) => {
+      this.currentState.items.push({
+        id: event.itemId,
+        name: event.name,
+        price: event.price,
+        category: event.category,
+        taxClass: event.taxClass,
+        addedAt: event.timestamp
+      });
+    });
+    
+    const removeItem = (event) => {
+      this.currentState.items = this.currentState.items.filter(item => item.id !== event.itemId);
+    };
+    this.registerEventHandler('WishlistItemRemoved', removeItem);
+    this.registerEventHandler('WishlistItemMovedToCart', removeItem);
+  }
+
+  initializeProjections() {
+    const currentWishlist = record => record.streamId === this.getAggregateId();
+    
+    this.registerProjection('WishlistItemsProjection', () => new WishlistItemsProjection(), {
+      filter: currentWishlist
+    });
+  }
+
+  findItem(itemId) {
+    return this.currentState.items.find(item => item.id === itemId);
+  }
+
+  has(itemId) {
+    return Boolean(this.findItem(itemId));
+  }
+
+  async moveToCart(itemId, cart = this.cart) {
+    await this.ready;
+    
+    const item = this.findItem(itemId);
+    if (!item) {
+      throw new ItemNotFoundError(itemId);
+    }
+    
+    // Add before removing so a failed cart command leaves the toy on the wishlist
+    await cart.handleCommand('AddItemToCart', {
+      itemId: item.id,
+      name: item.name,
+      price: item.price,
+      category: item.category,
+      taxClass: item.taxClass,
+      quantity: 1
+    });
+    
+    return await this.handleCommand('MoveItemToCart', {
+      itemId: item.id,
+      cartId: cart.getAggregateId()
+    });
+  }
+
+  async saveForLater(itemId, cart = this.cart) {
+    await this.ready;
+    
+    const item = cart.findItem(itemId);
+    if (!item) {
+      throw new ItemNotFoundError(itemId);
+    }
+    
+    const result = await this.handleCommand('SaveItemForLater', {
+      itemId: item.id,
+      name: item.name,
+      price: item.price,
+      category: item.category,
+      taxClass: item.taxClass,
+      cartId: cart.getAggregateId()
+    });
+    await cart.handleCommand('RemoveItemFromCart', { itemId: item.id });
+    
+    return result;
+  }
+
+  getItems() {
+    return this.getProjection('WishlistItemsProjection').getItems();
+  }
+}
+
+class WishlistItemAddedEvent extends Event {
+  constructor(data) {
+    super('WishlistItemAdded', data);
+    Object.assign(this, data);
+  }
+}
+
+class WishlistItemRemovedEvent extends Event {
+  constructor(data) {
+    super('WishlistItemRemoved', data);
+    Object.assign(this, data);
+  }
+}
+
+class WishlistItemMovedToCartEvent extends Event {
+  constructor(data) {
+    super('WishlistItemMovedToCart', data);
+    Object.assign(this, data);
+  }
+}
+
+class WishlistItemsProjection {
+  constructor() {
+    this.items = new Map();
+  }
+
+  handle(event) {
+    switch (event.type) {
+      case 'WishlistItemAdded':
+        this.items.set(event.itemId, {
+          id: event.itemId,
+          name: event.name,
+          price: event.price,
+          category: event.category,
+          taxClass: event.taxClass,
+          source: event.source,
+          addedAt: event.timestamp
+        });
+        break;
+      case 'WishlistItemRemoved':
+      case 'WishlistItemMovedToCart':
+        this.items.delete(event.itemId);
+        break;
+    }
+  }
+
+  getItems() {
+    return Array.from(this.items.values());
+  }
+}
+
+const wishlistCommandSchemas = {
+  AddItemToWishlist: {
+    itemId: 'string',
+    name: 'string?',
+    price: 'number',
+    category: 'string?',
+    taxClass: 'string?'
+  },
+  RemoveItemFromWishlist: { itemId: 'string' },
+  SaveItemForLater: {
+    itemId: 'string',
+    name: 'string?',
+    price: 'number',
+    category: 'string?',
+    taxClass: 'string?',
+    cartId: 'string'
+  },
+  MoveItemToCart: {
+    itemId: 'string',
+    cartId: 'string'
+  }
+};
+
+cartEventRegistry
+  .register('WishlistItemAdded', WishlistItemAddedEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      name: 'string?',
+      price: 'number',
+      category: 'string?',
+      taxClass: 'string?',
+      source: 'string',
+      timestamp: 'number',
+      correlationId: 'string?',
+      causationId: 'string?'
+    }
+  })
+  .register('WishlistItemRemoved', WishlistItemRemovedEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  })
+  .register('WishlistItemMovedToCart', WishlistItemMovedToCartEvent, {
+    version: 1,
+    schema: {
+      itemId: 'string',
+      cartId: 'string',
+      timestamp: 'number',
+      correlationId: 'string?'
+    }
+  });
+
+window.EventSourcingWishlist = EventSourcingWishlist;
@@ -21,10 +21,106 @@ window.dataLayer = window.dataLayer || [];
   // Initialize Product Factory System
   await window.ProductFactorySystem.initialize();
   
-  // Initialize Event Sourcing Cart
-  window.eventSourcingCart = new window.EventSourcingCart();
+  // Initialize inventory from the stock levels in product front matter
+  window.productCatalog = window.loadProductCatalog();
+  window.eventSourcingInventory = new window.EventSourcingInventory();
+  try {
+    await window.eventSourcingInventory.ready;
+    await window.eventSourcingInventory.syncStockLevels(window.productCatalog.all());
+  } catch (error) {
+    console.error('❌ Failed to load inventory:', error);
+  }
+  
+  // Record placed orders locally so the "My orders" page can list and reorder them
+  window.eventSourcingOrderHistory = new window.EventSourcingOrderHistory({
+    eventStore: window.eventSourcingInventory.eventStore,
+    catalog: window.productCatalog,
+    inventory: window.eventSourcingInventory
+  });
+  window.eventSourcingOrderHistory.subscribe(() => renderOrderHistory());
+  try {
+    await window.eventSourcingOrderHistory.ready;
+  } catch (error) {
+    console.error('❌ Failed to rehydrate order history:', error);
+  }
+  renderOrderHistory();
+  
+  // Initialize Event Sourcing Cart, reserving stock from the inventory and quoting shipping from product weights at checkout
+  const shippingCalculator = new window.ShippingCalculator(undefined, window.productCatalog);
+  window.eventSourcingCart = new window.EventSourcingCart({
+    eventStore: window.eventSourcingInventory.eventStore,
+    shippingCalculator: shippingCalculator,
+    checkoutPorts: {
+      ...window.createLocalCheckoutPorts({ shipping: { calculator: shippingCalculator } }),
+      inventory: new window.EventSourcedInventoryPort(window.eventSourcingInventory),
+      orders: new window.EventSourcedOrderPort(window.eventSourcingOrderHistory)
+    }
+  });
+  try {
+    await window.eventSourcingCart.ready;
+  } catch (error) {
+    console.error('❌ Failed to rehydrate Event Sourcing Cart:', error);
+  }
+  window.eventSourcingInventory.subscribe(() => renderStockLevels());
+  
+  // Render the cart from the event-sourced projections on every change
+  window.eventSourcingCart.subscribe((events) => renderCart(events));
+  try {
+    await window.eventSourcingCart.migrateLegacyCart(window.cartLS);
+  } catch (error) {
+    console.error('❌ Failed to migrate legacy cart:', error);
+  }
+  renderCart();
+  
+  // Keep the wishlist next to the cart, on the same event store
+  window.eventSourcingWishlist = new window.EventSourcingWishlist({
+    eventStore: window.eventSourcingCart.eventStore,
+    cart: window.eventSourcingCart
+  });
+  window.eventSourcingWishlist.subscribe(() => renderWishlist());
+  try {
+    await window.eventSourcingWishlist.ready;
+  } catch (error) {
+    console.error('❌ Failed to rehydrate wishlist:', error);
+  }
+  renderWishlist();
+  
+  // Detect and offer to recover abandoned carts, also when another tab abandons, recovers or replaces the cart
+  window.eventSourcingCart.subscribe((events) => {
+    if (events.length === 0 || events.some((event) => ['CartAbandoned', 'CartRecovered'].includes(event.type))) {
+      renderRecoveryBanner();
+    }
+  });
+  try {
+    await window.eventSourcingCart.detectAbandonment();
+  } catch (error) {
+    console.error('❌ Failed to detect cart abandonment:', error);
+  }
+  renderRecoveryBanner();
+  window.eventSourcingCart.startAbandonmentMonitor();
+  
+  // Resume a checkout interrupted by a reload
+  window.eventSourcingCart.resumeCheckout().then((outcome) => {
+    if (outcome) {
+      renderCheckoutOutcome(outcome, window.eventSourcingCart.getItems())
+    }
+  }).catch((error) => {
+    console.error('❌ Failed to resume checkout:', error);
+  });
+  
+  // Offer to open a cart someone shared through a link
+  window.cartShareLink = new window.CartShareLink({ catalog: window.productCatalog });
+  await renderSharedCartOffer();
   
-  // Register Services with Service Orchestrator
+  // Register Services with Service Orchestrator, each with its own resilience policy
+  window.ServiceOrchestrator.eventBus.subscribe('circuitBreaker.stateChanged', (change) => {
+    console.warn(`🔌 ${change.service} circuit ${change.from} → ${change.to}`);
+  });
+  
+  // Rejected cart commands are the customer's mistake, not an outage: only concurrency conflicts are retried
+  const isCartCommandRejection = (error) => error instanceof CommandValidationError ||
+    error instanceof CommandUnauthorizedError ||
+    error instanceof ItemNotFoundError;
   window.ServiceOrchestrator.registerService('CartService', {
     addItem: async (item) => {
       return await window.eventSourcingCart.handleCommand('AddItemToCart', item);
@@ -32,7 +128,30 @@ window.dataLayer = window.dataLayer || [];
     removeItem: async (itemId) => {
       return await window.eventSourcingCart.handleCommand('RemoveItemFromCart', { itemId });
     },
+    updateQuantity: async (itemId, newQuantity) => {
+      return await window.eventSourcingCart.handleCommand('UpdateItemQuantity', { itemId, newQuantity });
+    },
     health: async () => ({ status: 'healthy' })
+  }, {
+    circuitBreaker: {
+      failureThreshold: 3,
+      openTimeout: 10000,
+      isFailure: (error) => !(error instanceof ServiceRejectedError) && !isCartCommandRejection(error)
+    },
+    retry: {
+      maxRetries: 2,
+      baseDelay: 50,
+      retryOn: (error) => error instanceof ConcurrencyConflictError
+    },
+    bulkhead: { maxConcurrent: 1, maxQueue: 20 },
+    // Cart changes move demand, so quoted prices must be recomputed
+    cache: {
+      methods: {
+        addItem: { invalidates: ['prices'] },
+        removeItem: { invalidates: ['prices'] },
+        updateQuantity: { invalidates: ['prices'] }
+      }
+    }
   });
   
   window.ServiceOrchestrator.registerService('PricingService', {
@@ -40,6 +159,16 @@ window.dataLayer = window.dataLayer || [];
       return window.QuantumPricing.calculatePrice(basePrice, factors);
     },
     health: async () => ({ status: 'healthy' })
+  }, {
+    retry: { maxRetries: 1, baseDelay: 100 },
+    bulkhead: { maxConcurrent: 20, maxQueue: 50 },
+    deadline: { timeout: 2000, attemptTimeout: 800 },
+    cache: {
+      maxSize: 200,
+      methods: {
+        calculatePrice: { ttl: 5000, staleWhileRevalidate: 10000, tags: ['prices'] }
+      }
+    }
   });
   
   window.ServiceOrchestrator.registerService('BlockchainService', {
@@ -90,30 +219,38 @@ window.dataLayer = window.dataLayer || [];
 
 const renderBadge = () => {
   const badge = document.querySelector('#cart-badge')
-  badge.innerText = cartLS.list().reduce((prev, curr) => prev + curr.quantity, 0)
+  badge.innerText = window.eventSourcingCart ? window.eventSourcingCart.getTotals().itemCount : 0
 }
 
 const listenToAdd = (buttons) => {
   buttons.forEach((button) => {
     button.addEventListener('click', (event) => {
-      const { id, name, price, location } = event.currentTarget.dataset
-      if (cartLS.exists(id)) {
-        cartLS.quantity(id, 1)
-      } else {
-        cartLS.add({ id, name, price })
-      }
+      const { id, name, price, category, taxClass, location } = event.currentTarget.dataset
+      if (!window.eventSourcingCart) return
       
-      // Log to Event Sourcing Cart
-      if (window.eventSourcingCart) {
-        window.eventSourcingCart.handleCommand('AddItemToCart', {
+      // Double-clicks on the same button share a key and fall inside the command's dedupe window
+      const idempotencyKey = `add-to-cart:${id}:${location}`
+      const command = location === 'cart'
+        ? window.eventSourcingCart.handleCommand('UpdateItemQuantity', {
+          itemId: id,
+          delta: 1,
+          idempotencyKey: idempotencyKey
+        })
+        : window.eventSourcingCart.handleCommand('AddItemToCart', {
           itemId: id,
           name: name,
-          price: parseFloat(price),
-          quantity: 1
-        }).then(result => {
-          console.log('📝 Event sourced:', result.events);
+          price: Money.of(price).toNumber(),
+          category: category,
+          taxClass: taxClass,
+          quantity: 1,
+          idempotencyKey: idempotencyKey
         });
-      }
+      
+      command.then(result => {
+        console.log('📝 Event sourced:', result.events);
+      }).catch(error => {
+        console.error('❌ Failed to add to cart:', error);
+      });
       
       // Log to Blockchain
       if (window.BlockchainLogger) {
@@ -126,7 +263,7 @@ const listenToAdd = (buttons) => {
       // Calculate Quantum Price
       if (window.QuantumPricing) {
         const quantumPrice = window.QuantumPricing.calculatePrice(
-          parseFloat(price),
+          Money.of(price),
           { demand: Math.random(), supply: Math.random() }
         );
         console.log(`⚛️ Quantum price: ${quantumPrice.price} (confidence: ${quantumPrice.confidence}%)`);
@@ -144,18 +281,35 @@ const cartItemsListeners = () => {
   const addToCartButtons = document.querySelectorAll('.cart .add-to-cart')
   listenToAdd(addToCartButtons)
 
+  const cartItemSaveButtons = document.querySelectorAll('.cart-item-save')
+  cartItemSaveButtons.forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const { id, name, price } = event.currentTarget.dataset
+      if (!window.eventSourcingWishlist) return
+
+      window.eventSourcingWishlist.saveForLater(id).catch(error => {
+        console.error('❌ Failed to save cart item for later:', error);
+      });
+      
+      dataLayer.push({
+        event: 'saveForLater',
+        item: { id, name, price },
+        location: 'cart',
+      })
+    })
+  })
+
   const cartItemRemoveButtons = document.querySelectorAll('.cart-item-remove')
   cartItemRemoveButtons.forEach((button) => {
     button.addEventListener('click', (event) => {
       const { id, name, price, quantity } = event.currentTarget.dataset
-      cartLS.remove(id)
-      
-      // Log to Event Sourcing Cart
-      if (window.eventSourcingCart) {
-        window.eventSourcingCart.handleCommand('RemoveItemFromCart', {
-          itemId: id
-        });
-      }
+      window.eventSourcingCart.handleCommand('RemoveItemFromCart', {
+        itemId: id
+      }).then(() => {
+        showUndoToast(`${name} was removed from your cart.`)
+      }).catch(error => {
+        console.error('❌ Failed to remove cart item:', error);
+      });
       
       // Log to Blockchain
       if (window.BlockchainLogger) {
@@ -177,7 +331,13 @@ const cartItemsListeners = () => {
   removeFromCartButtons.forEach((button) => {
     button.addEventListener('click', (event) => {
       const { id, name, price } = event.currentTarget.dataset
-      cartLS.quantity(id, -1)
+      window.eventSourcingCart.handleCommand('UpdateItemQuantity', {
+        itemId: id,
+        delta: -1
+      }).catch(error => {
+        console.error('❌ Failed to update cart quantity:', error);
+      });
+      
       dataLayer.push({
         event: 'removeOneFromCart',
         item: { id, name, price },
@@ -188,11 +348,157 @@ const cartItemsListeners = () => {
 }
 
 
-const renderCart = async () => {
+const showUndoToast = (message) => {
+  const toast = document.getElementById('cart-undo-toast')
+  toast.querySelector('.toast-body').textContent = message
+  bootstrap.Toast.getOrCreateInstance(toast).show()
+}
+
+const undoButton = document.getElementById('cart-undo-button')
+undoButton.addEventListener('click', () => {
+  bootstrap.Toast.getOrCreateInstance('#cart-undo-toast').hide()
+  if (!window.eventSourcingCart || !window.eventSourcingCart.canUndo()) return
+
+  window.eventSourcingCart.handleCommand('UndoLastChange', {}).then(result => {
+    dataLayer.push({
+      event: 'undoCartChange',
+      changeId: result.events.find((event) => event.type === 'CartChangeUndone')?.changeId,
+      location: 'cart',
+    })
+  }).catch(error => {
+    console.error('❌ Failed to undo cart change:', error);
+  })
+})
+
+const renderAdjustments = (events = []) => {
+  const discountList = document.querySelector('.discounts')
+  const feedback = document.querySelector('#discount-code-feedback')
+  if (!window.eventSourcingCart) return
+
+  discountList.innerHTML = window.eventSourcingCart.currentState.discounts.map((discount) => {
+    return `<li class="d-flex justify-content-between">
+      <span>
+        ${discount.description}
+        ${discount.code ? `<button type="button" class="btn btn-link btn-sm p-0 discount-code-remove" data-code="${discount.code}">Remove</button>` : ''}
+      </span>
+      <span>-${Money.of(discount.amount).format()}</span>
+    </li>`
+  }).join('')
+
+  feedback.textContent = events
+    .filter((event) => event.type === 'DiscountCodeRejected')
+    .map((event) => event.message)
+    .join(' ')
+
+  discountList.querySelectorAll('.discount-code-remove').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const { code } = event.currentTarget.dataset
+      window.eventSourcingCart.handleCommand('RemoveDiscountCode', { code }).then(() => {
+        dataLayer.push({
+          event: 'removeDiscountCode',
+          code: code,
+          location: 'cart',
+        })
+      }).catch((error) => {
+        console.error('❌ Failed to remove discount code:', error);
+      })
+    })
+  })
+
+  renderShippingOptions()
+  renderTotals()
+}
+
+const renderShippingOptions = () => {
+  const container = document.querySelector('.shipping-options')
+  const country = document.getElementById('shipping-country')
+  const selected = window.eventSourcingCart.currentState.shipping
+  const options = window.eventSourcingCart.getShippingOptions()
+
+  country.value = window.eventSourcingCart.getTaxCountry()
+  if (options.length === 0) {
+    container.innerHTML = window.eventSourcingCart.getItems().length > 0
+      ? '<p class="text-danger mb-0">No carrier delivers this cart to the selected country.</p>'
+      : ''
+    return
+  }
+
+  container.innerHTML = options.map((option) => {
+    return `<div class="form-check">
+      <input class="form-check-input shipping-method" type="radio" name="shipping-method" id="shipping-${option.methodId}" value="${option.methodId}" ${selected && selected.methodId === option.methodId ? 'checked' : ''}>
+      <label class="form-check-label d-flex justify-content-between" for="shipping-${option.methodId}">
+        <span>${option.carrier} · ${option.service} <span class="text-muted">(${option.deliveryDays} days)</span></span>
+        <span>${option.free ? 'Free' : Money.of(option.amount).format()}</span>
+      </label>
+    </div>`
+  }).join('')
+
+  container.querySelectorAll('.shipping-method').forEach((input) => {
+    input.addEventListener('change', (event) => {
+      const methodId = event.currentTarget.value
+      window.eventSourcingCart.handleCommand('SelectShippingMethod', { methodId }).then(() => {
+        dataLayer.push({
+          event: 'selectShippingMethod',
+          methodId: methodId,
+          location: 'cart',
+        })
+      }).catch((error) => {
+        console.error('❌ Failed to select shipping method:', error);
+      })
+    })
+  })
+}
+
+const shippingCountry = document.getElementById('shipping-country')
+shippingCountry.addEventListener('change', (event) => {
+  const country = event.currentTarget.value
+  if (!window.eventSourcingCart) return
+
+  window.eventSourcingCart.handleCommand('SetTaxCountry', { country }).then(() => {
+    dataLayer.push({
+      event: 'setDeliveryCountry',
+      country: country,
+      location: 'cart',
+    })
+  }).catch((error) => {
+    console.error('❌ Failed to change delivery country:', error);
+  })
+})
+
+const renderTotals = () => {
+  const totals = window.eventSourcingCart.getMoneyTotals();
+  const baseTotal = totals.total;
+
+  const taxRates = window.eventSourcingCart.getTotals().breakdown.taxes.map((tax) => `${+(tax.rate * 100).toFixed(2)}%`).join(' / ');
+  const taxesIncluded = !totals.includedTaxes.isZero() && totals.taxes.isZero();
+  document.querySelector('.subtotal').innerText = totals.subtotal.format();
+  document.querySelector('.discount-total').innerText = `-${totals.discounts.format()}`;
+  document.querySelector('.tax-label').innerText = taxesIncluded ? `Incl. VAT ${taxRates}:` : `Tax ${taxRates}:`;
+  document.querySelector('.tax-total').innerText = (taxesIncluded ? totals.includedTaxes : totals.taxes).format();
+  document.querySelector('.shipping-total').innerText = window.eventSourcingCart.currentState.shipping
+    ? totals.shipping.format()
+    : 'Choose a delivery option';
+
+  const total = document.querySelector('.total')
+  
+  // Apply quantum pricing to total
+  if (window.QuantumPricing && window.QuantumPricing.calculator) {
+    const quantumTotal = window.QuantumPricing.calculatePrice(baseTotal, {
+      cartSize: window.eventSourcingCart.getItems().length,
+      timeOfDay: new Date().getHours()
+    });
+    total.innerHTML = `<span title="Quantum calculated">${quantumTotal.price.format()}</span> <small class="text-muted">(Confidence: ${quantumTotal.confidence}%)</small>`;
+  } else {
+    total.innerText = baseTotal.format();
+  }
+}
+
+const renderCart = async (events = []) => {
   renderBadge();
+  if (!window.eventSourcingCart) return
 
   const cartBody = document.querySelector('.cart');
-  cartBody.innerHTML = cartLS.list().map((item, index) => {
+  cartBody.innerHTML = window.eventSourcingCart.getItems().map((item, index) => {
     return `<tr>
       <td>#${index + 1}</td>
       <td>${item.name}</td>
@@ -203,34 +509,226 @@ const renderCart = async () => {
       <td>
         <button type="button" class="btn btn-block btn-sm btn-outline-primary add-to-cart" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}" data-location="cart">+</button>
       </td>
-      <td class="text-right">${item.price * item.quantity}€</td>
-      <td class="text-right"><button class="btn btn-outline-danger btn-sm cart-item-remove" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}" data-quantity="${item.quantity}">Remove</button></td>
+      <td class="text-right">${Money.of(item.price).multiply(item.quantity).format()}</td>
+      <td class="text-right">
+        <button class="btn btn-outline-danger btn-sm cart-item-remove" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}" data-quantity="${item.quantity}">Remove</button>
+        <button class="btn btn-link btn-sm cart-item-save" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}">Save for later</button>
+      </td>
     </tr>`
   }).join('');
 
-  const total = document.querySelector('.total')
-  const baseTotal = cartLS.total();
-  
-  // Apply quantum pricing to total
-  if (window.QuantumPricing && window.QuantumPricing.calculator) {
-    const quantumTotal = window.QuantumPricing.calculatePrice(baseTotal, {
-      cartSize: cartLS.list().length,
-      timeOfDay: new Date().getHours()
-    });
-    total.innerHTML = `<span title="Quantum calculated">${quantumTotal.price}€</span> <small class="text-muted">(Confidence: ${quantumTotal.confidence}%)</small>`;
-  } else {
-    total.innerText = `${baseTotal}€`;
-  }
+  renderAdjustments(events);
 
   cartItemsListeners();
+  renderStockLevels();
 }
 
 renderCart();
-cartLS.onChange(renderCart);
 
 const addToCartButtons = document.querySelectorAll('.add-to-cart')
 listenToAdd(addToCartButtons)
 
+const renderStockLevels = () => {
+  const inventory = window.eventSourcingInventory
+  if (!inventory || !window.eventSourcingCart) return
+
+  const quantityInCart = (id) => window.eventSourcingCart.getItems().find((item) => item.id === id)?.quantity || 0
+
+  document.querySelectorAll('.add-to-cart').forEach((button) => {
+    const { available } = inventory.getAvailability(button.dataset.id)
+    button.disabled = quantityInCart(button.dataset.id) >= available
+  })
+
+  document.querySelectorAll('.stock-status').forEach((label) => {
+    const { available, status } = inventory.getAvailability(label.dataset.id)
+    label.classList.toggle('text-danger', status === 'out_of_stock')
+    label.classList.toggle('text-warning', status === 'low_stock')
+    label.textContent = {
+      out_of_stock: 'Out of stock',
+      low_stock: `Only ${available} left`
+    }[status] || ''
+  })
+}
+
+const renderWishlist = () => {
+  const wishlist = window.eventSourcingWishlist
+  if (!wishlist) return
+
+  const items = wishlist.getItems()
+  document.querySelector('#wishlist-badge').innerText = items.length || ''
+  document.querySelector('.wishlist-empty').hidden = items.length > 0
+  document.querySelector('.wishlist').innerHTML = items.map((item) => {
+    return `<tr>
+      <td>${item.name}</td>
+      <td class="text-right">${Money.of(item.price).format()}</td>
+      <td class="text-right">
+        <button type="button" class="btn btn-primary btn-sm wishlist-item-move" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}">Move to cart</button>
+        <button type="button" class="btn btn-outline-danger btn-sm wishlist-item-remove" data-id="${item.id}" data-name="${item.name}" data-price="${item.price}">Remove</button>
+      </td>
+    </tr>`
+  }).join('')
+
+  document.querySelectorAll('.add-to-wishlist').forEach((button) => {
+    const saved = wishlist.has(button.dataset.id)
+    button.setAttribute('aria-pressed', String(saved))
+    button.innerHTML = saved ? '&#9829;' : '&#9825;'
+  })
+
+  document.querySelectorAll('.wishlist-item-move').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const { id, name, price } = event.currentTarget.dataset
+      wishlist.moveToCart(id).catch(error => {
+        console.error('❌ Failed to move wishlist item to cart:', error);
+      })
+      dataLayer.push({
+        event: 'moveWishlistItemToCart',
+        item: { id, name, price },
+        location: 'wishlist',
+      })
+    })
+  })
+
+  document.querySelectorAll('.wishlist-item-remove').forEach((button) => {
+    button.addEventListener('click', (event) => {
+      const { id, name, price } = event.currentTarget.dataset
+      wishlist.handleCommand('RemoveItemFromWishlist', { itemId: id }).catch(error => {
+        console.error('❌ Failed to remove wishlist item:', error);
+      })
+      dataLayer.push({
+        event: 'removeFromWishlist',
+        item: { id, name, price },
+        location: 'wishlist',
+      })
+    })
+  })
+}
+
+const wishlistButtons = document.querySelectorAll('.add-to-wishlist')
+wishlistButtons.forEach((button) => {
+  button.addEventListener('click', (event) => {
+    const { id, name, price, category, taxClass } = event.currentTarget.dataset
+    const wishlist = window.eventSourcingWishlist
+    if (!wishlist) return
+
+    const saved = wishlist.has(id)
+    const command = saved
+      ? wishlist.handleCommand('RemoveItemFromWishlist', { itemId: id })
+      : wishlist.handleCommand('AddItemToWishlist', {
+        itemId: id,
+        name: name,
+        price: Money.of(price).toNumber(),
+        category: category,
+        taxClass: taxClass,
+        idempotencyKey: `add-to-wishlist:${id}`
+      })
+    command.catch(error => {
+      console.error('❌ Failed to update wishlist:', error);
+    })
+
+    dataLayer.push({
+      event: saved ? 'removeFromWishlist' : 'addToWishlist',
+      item: { id, name, price },
+      location: 'product',
+    })
+  })
+})
+
+const orderStatusLabels = {
+  placed: 'Placed',
+  confirmed: 'Confirmed',
+  cancelled: 'Cancelled'
+}
+
+const renderOrderHistory = () => {
+  const table = document.getElementById('order-history')
+  const history = window.eventSourcingOrderHistory
+  if (!table || !history) return
+
+  const orders = history.getOrders()
+  document.querySelector('.order-history-empty').hidden = orders.length > 0
+  table.innerHTML = orders.map((order) => {
+    return `<tr>
+      <td><a href="?order=${order.orderId}">${order.orderId}</a></td>
+      <td>${new Date(order.placedAt).toLocaleString()}</td>
+      <td>${order.items.reduce((count, item) => count + item.quantity, 0)}</td>
+      <td>${Money.of(order.total).format()}</td>
+      <td>${orderStatusLabels[order.status]}</td>
+      <td class="text-right">
+        <button type="button" class="btn btn-outline-primary btn-sm order-reorder" data-id="${order.orderId}">Reorder</button>
+      </td>
+    </tr>`
+  }).join('')
+
+  renderOrderDetail(new URLSearchParams(window.location.search).get('order'))
+
+  table.querySelectorAll('.order-reorder').forEach((button) => {
+    button.addEventListener('click', (event) => reorder(event.currentTarget.dataset.id))
+  })
+}
+
+const renderOrderDetail = (orderId) => {
+  const container = document.getElementById('order-detail')
+  const order = orderId && window.eventSourcingOrderHistory.getOrder(orderId)
+  if (!order) {
+    container.innerHTML = ''
+    return
+  }
+
+  container.innerHTML = `<div class="card mb-4">
+    <div class="card-body">
+      <h5 class="card-title">Order ${order.orderId}</h5>
+      <p class="card-subtitle text-muted mb-3">
+        ${order.statusHistory.map((entry) => `${orderStatusLabels[entry.status]} ${new Date(entry.timestamp).toLocaleString()}`).join(' · ')}
+      </p>
+      <table class="table table-sm">
+        <tbody>
+          ${order.items.map((item) => `<tr>
+            <td>${item.name}</td>
+            <td>${item.quantity} × ${Money.of(item.price).format()}</td>
+            <td class="text-right">${Money.of(item.lineTotal).format()}</td>
+          </tr>`).join('')}
+          ${order.discounts.map((discount) => `<tr>
+            <td colspan="2">${discount.description}</td>
+            <td class="text-right">-${Money.of(discount.amount).format()}</td>
+          </tr>`).join('')}
+          ${order.taxes.map((tax) => `<tr>
+            <td colspan="2">${tax.included ? 'Incl. VAT' : 'Tax'} ${+(tax.rate * 100).toFixed(2)}% (${order.taxCountry})</td>
+            <td class="text-right">${Money.of(tax.amount).format()}</td>
+          </tr>`).join('')}
+          ${order.shipping ? `<tr>
+            <td colspan="2">${order.shipping.carrier} · ${order.shipping.service}</td>
+            <td class="text-right">${Money.of(order.shipping.amount).format()}</td>
+          </tr>` : ''}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colspan="2">Total paid</th>
+            <th class="text-right">${Money.of(order.total).format()}</th>
+          </tr>
+        </tfoot>
+      </table>
+      <button type="button" class="btn btn-primary btn-sm order-reorder" data-id="${order.orderId}">Reorder these toys</button>
+    </div>
+  </div>`
+
+  container.querySelector('.order-reorder').addEventListener('click', (event) => reorder(event.currentTarget.dataset.id))
+}
+
+const reorder = (orderId) => {
+  window.eventSourcingOrderHistory.reorder(orderId, window.eventSourcingCart).then(({ items, skipped }) => {
+    dataLayer.push({
+      event: 'reorder',
+      orderId: orderId,
+      items: items.map(({ id, name, price, quantity }) => ({ id, name, price, quantity })),
+      skipped: skipped.map(({ id, reason, quantity }) => ({ id, reason, quantity })),
+      location: 'orders',
+    })
+    bootstrap.Modal.getOrCreateInstance('#cartModal').show()
+  }).catch(error => {
+    console.error('❌ Failed to reorder:', error);
+  })
+}
+
 const contactForm = document.getElementById('form-contact')
 if (contactForm) {
   contactForm.addEventListener('submit', (event) => {
@@ -239,28 +737,193 @@ if (contactForm) {
   })
 }
 
-const checkoutButton = document.getElementById('checkout-button')
-checkoutButton.addEventListener('click', (event) => {
+const renderRecoveryBanner = () => {
+  const banner = document.getElementById('cart-recovery-banner')
+  const recovery = window.eventSourcingCart.getRecoveryStatus()
+  if (!recovery || recovery.status !== 'abandoned') {
+    banner.innerHTML = ''
+    return
+  }
+
+  banner.innerHTML = `<div class="alert alert-info d-flex align-items-center justify-content-between mt-4" role="alert">
+    <span>You left ${recovery.itemCount} ${recovery.itemCount === 1 ? 'toy' : 'toys'} in your cart.</span>
+    <span>
+      <button type="button" class="btn btn-sm btn-primary" id="restore-cart-button">Restore my cart</button>
+      <button type="button" class="btn btn-sm btn-outline-secondary" id="discard-cart-button">Start over</button>
+    </span>
+  </div>`
+
+  document.getElementById('restore-cart-button').addEventListener('click', () => {
+    window.eventSourcingCart.handleCommand('RecoverCart', {}).then(() => {
+      renderRecoveryBanner()
+      bootstrap.Modal.getOrCreateInstance('#cartModal').show()
+      dataLayer.push({
+        event: 'cartRecovered',
+        cartId: recovery.cartId,
+        abandonedAt: recovery.abandonedAt,
+        location: 'banner',
+      })
+    }).catch((error) => {
+      console.error('❌ Failed to restore cart:', error)
+      renderRecoveryBanner()
+    })
+  })
+
+  document.getElementById('discard-cart-button').addEventListener('click', () => {
+    window.eventSourcingCart.startNewCart().then(() => {
+      renderRecoveryBanner()
+      renderCart()
+    }).catch((error) => {
+      console.error('❌ Failed to discard cart:', error)
+    })
+  })
+}
+
+const renderSharedCartOffer = async () => {
+  const offer = document.getElementById('shared-cart-offer')
+  if (!window.cartShareLink.isSharedCart(window.location.hash)) return
+
+  const dismiss = (message = '') => {
+    history.replaceState(null, '', window.location.pathname + window.location.search)
+    offer.innerHTML = message && `<div class="alert alert-warning mt-4" role="alert">${message}</div>`
+  }
+
+  let shared
+  try {
+    shared = await window.cartShareLink.decode(window.location.hash)
+  } catch (error) {
+    console.warn('⚠️ Ignoring shared cart link:', error)
+    dismiss('This cart link is invalid or was modified.')
+    return
+  }
+
+  const { items, skipped } = window.cartShareLink.validate(shared, window.eventSourcingCart.quantityRules)
+  if (items.length === 0) {
+    dismiss('None of the toys in this shared cart are available anymore.')
+    return
+  }
+
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0)
+  const hasCart = window.eventSourcingCart.getItems().length > 0
+  offer.innerHTML = `<div class="alert alert-primary d-flex align-items-center justify-content-between mt-4" role="alert">
+    <span>
+      Someone shared a cart with ${quantity} ${quantity === 1 ? 'toy' : 'toys'}: ${items.map((item) => item.name).join(', ')}.
+      ${skipped.length > 0 ? `${skipped.length} ${skipped.length === 1 ? 'toy is' : 'toys are'} no longer available.` : ''}
+    </span>
+    <span>
+      <button type="button" class="btn btn-sm btn-primary" id="merge-shared-cart-button">Add to my cart</button>
+      ${hasCart ? '<button type="button" class="btn btn-sm btn-outline-primary" id="replace-shared-cart-button">Replace my cart</button>' : ''}
+      <button type="button" class="btn btn-sm btn-outline-secondary" id="dismiss-shared-cart-button">No thanks</button>
+    </span>
+  </div>`
+
+  const openSharedCart = (mode) => {
+    window.cartShareLink.applyTo(window.eventSourcingCart, shared, { mode }).then((result) => {
+      dismiss()
+      bootstrap.Modal.getOrCreateInstance('#cartModal').show()
+      dataLayer.push({
+        event: 'openSharedCart',
+        mode: mode,
+        items: result.items.map(({ id, quantity }) => ({ id, quantity })),
+        skipped: result.skipped.length,
+        location: 'banner',
+      })
+    }).catch((error) => {
+      console.error('❌ Failed to open shared cart:', error);
+    })
+  }
+
+  document.getElementById('merge-shared-cart-button').addEventListener('click', () => openSharedCart('merge'))
+  if (hasCart) {
+    document.getElementById('replace-shared-cart-button').addEventListener('click', () => openSharedCart('replace'))
+  }
+  document.getElementById('dismiss-shared-cart-button').addEventListener('click', () => dismiss())
+}
+
+const shareButton = document.getElementById('cart-share-button')
+shareButton.addEventListener('click', () => {
+  const feedback = document.getElementById('cart-share-feedback')
+  if (!window.eventSourcingCart || !window.cartShareLink) return
+  if (window.eventSourcingCart.getItems().length === 0) {
+    feedback.textContent = 'Add a toy before sharing your cart.'
+    return
+  }
+
+  window.cartShareLink.encode(window.eventSourcingCart).then((fragment) => {
+    const url = `${window.location.origin}${window.location.pathname}#${fragment}`
+    dataLayer.push({
+      event: 'shareCart',
+      cart: window.eventSourcingCart.getItems(),
+      location: 'cart',
+    })
+    const copy = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject()
+    return copy.then(() => {
+      feedback.textContent = 'Link copied, send it to anyone you like.'
+    }, () => {
+      feedback.textContent = url
+    })
+  }).catch((error) => {
+    console.error('❌ Failed to share cart:', error);
+  })
+})
+
+const discountCodeForm = document.getElementById('discount-code-form')
+discountCodeForm.addEventListener('submit', (event) => {
+  event.preventDefault()
+  const code = new FormData(event.currentTarget).get('code')
+  if (!window.eventSourcingCart || !code) return
+
+  window.eventSourcingCart.handleCommand('ApplyDiscountCode', { code }).then(result => {
+    const applied = result.events.some((event) => event.type === 'DiscountCodeApplied')
+    if (applied) discountCodeForm.reset()
+    dataLayer.push({
+      event: applied ? 'applyDiscountCode' : 'rejectDiscountCode',
+      code: code,
+      location: 'cart',
+    })
+  }).catch((error) => {
+    console.error('❌ Failed to apply discount code:', error);
+  })
+})
+
+const renderCheckoutOutcome = (outcome, items) => {
+  const feedback = document.getElementById('checkout-feedback')
+  
+  if (outcome.status === 'failed') {
+    feedback.textContent = `We could not complete your order: ${outcome.reason}`
+    dataLayer.push({
+      event: 'checkoutFailed',
+      sagaId: outcome.sagaId,
+      step: outcome.step,
+      reason: outcome.reason,
+      location: 'cart'
+    })
+    return
+  }
+  
+  feedback.textContent = ''
   dataLayer.push({
-    event: 'goToCheckout',
-    location: 'cart',
-    cart: cartLS.list(),
-    totalPrice: cartLS.total(),
-    totalQuantity: cartLS.list().reduce((prev, curr) => prev + curr.quantity, 0)
+    event: 'checkoutCompleted',
+    orderId: outcome.orderId,
+    totalPrice: outcome.amount,
+    location: 'cart'
   })
-  // Initiate checkout saga
-  if (window.eventSourcingCart) {
-    window.eventSourcingCart.handleCommand('InitiateCheckout', {
-      items: cartLS.list(),
-      total: cartLS.total()
-    }).then(result => {
-      console.log('🛒 Checkout saga initiated:', result);
-    });
+  
+  const recovery = window.eventSourcingCart.getRecoveryStatus()
+  if (recovery && recovery.recoveredConversion) {
+    dataLayer.push({
+      event: 'recoveredCartConverted',
+      cartId: recovery.cartId,
+      abandonedAt: recovery.abandonedAt,
+      recoveredAt: recovery.recoveredAt,
+      totalPrice: outcome.amount,
+      location: 'cart'
+    })
   }
   
   // Mine a blockchain block for checkout
   if (window.BlockchainLogger) {
-    cartLS.list().forEach(item => {
+    items.forEach(item => {
       window.BlockchainLogger.logCartTransaction(item, 'checkout');
     });
     
@@ -272,7 +935,7 @@ checkoutButton.addEventListener('click', (event) => {
   
   // Create products with factory pattern
   if (window.ProductFactorySystem) {
-    cartLS.list().forEach(async item => {
+    items.forEach(async item => {
       const product = await window.ProductFactorySystem.createProduct('blockchain_toy', {
         ...item,
         checkoutTime: Date.now()
@@ -281,9 +944,59 @@ checkoutButton.addEventListener('click', (event) => {
     });
   }
   
-  cartLS.destroy()
-  const modal = bootstrap.Modal.getInstance('#cartModal')
-  modal.hide()
+  const checkoutStatus = document.getElementById('checkout-status')
+  const orderUrl = new URL(checkoutStatus.dataset.ordersUrl, window.location.href)
+  orderUrl.searchParams.set('order', outcome.orderId)
+  checkoutStatus.innerHTML = `<div class="alert alert-success mt-4" role="alert">
+    Thank you! Your order ${outcome.orderId} is confirmed.
+    <a href="${orderUrl.href}" class="alert-link">View your order</a>
+  </div>`
+  
+  window.eventSourcingCart.startNewCart().then(() => renderCart()).catch((error) => {
+    console.error('❌ Failed to start a new cart:', error)
+  })
+  bootstrap.Modal.getOrCreateInstance('#cartModal').hide()
+}
+
+const checkoutButton = document.getElementById('checkout-button')
+checkoutButton.addEventListener('click', (event) => {
+  dataLayer.push({
+    event: 'goToCheckout',
+    location: 'cart',
+    cart: window.eventSourcingCart.getItems(),
+    totalPrice: window.eventSourcingCart.getTotals().total,
+    totalQuantity: window.eventSourcingCart.getTotals().itemCount
+  })
+  
+  // Run the checkout saga and surface its outcome
+  const items = window.eventSourcingCart.getItems()
+  checkoutButton.disabled = true
+  document.getElementById('checkout-feedback').textContent = ''
+  window.eventSourcingCart.checkout().then((outcome) => {
+    console.log('🛒 Checkout saga finished:', outcome);
+    renderCheckoutOutcome(outcome, items)
+  }).catch((error) => {
+    console.error('❌ Checkout could not be started:', error);
+    document.getElementById('checkout-feedback').textContent = error.message
+  }).finally(() => {
+    checkoutButton.disabled = false
+  })
+})
+
+const exportButton = document.getElementById('cart-export-button')
+exportButton.addEventListener('click', () => {
+  if (!window.eventSourcingCart) return
+
+  const streamId = window.eventSourcingCart.getAggregateId()
+  window.eventSourcingCart.exportStream(streamId).then((ndjson) => {
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(new Blob([ndjson], { type: 'application/x-ndjson' }))
+    link.download = `${streamId}.ndjson`
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }).catch(error => {
+    console.error('❌ Failed to export cart history:', error);
+  })
 })
 
 const cards = document.querySelectorAll('.card-hover')
@@ -0,0 +1,165 @@
+const moneyCurrencies = {
+  EUR: { minorUnits: 2, symbol: '€' }
+};
+
+class Money {
+  constructor(minor, currency = 'EUR') {
+    if (!Number.isSafeInteger(minor)) {
+      throw new MoneyError(`Money needs an integer amount of minor units, got ${minor}`);
+    }
+    
+    if (!moneyCurrencies[currency]) {
+      throw new MoneyError(`Unsupported currency ${currency}`);
+    }
+    
+    this.minor = minor;
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  static of(amount, currency = 'EUR') {
+    if (amount instanceof Money) {
+      return amount;
+    }
+    
+    const scale = Math.pow(10, moneyCurrencies[currency].minorUnits);
+    
+    // Prices arrive as strings from data attributes; parse them without going through a float
+    if (typeof amount === 'string') {
+      const match = amount.trim().match(/^(-)?(\d*)(?:\.(\d*))?$/);
+      if (!match || (!match[2] && !match[3])) {
+        throw new MoneyError(`Cannot read "${amount}" as an amount of ${currency}`);
+      }
+      
+      const digits = moneyCurrencies[currency].minorUnits;
+      const fraction = (match[3] || '').padEnd(digits + 1, '0');
+      const minor = Number(match[2] || 0) * scale + Number(fraction.slice(0, digits)) +
+        (Number(fraction[digits]) >= 5 ? 1 : 0);
+      
+      return new Money(match[1] ? -minor : minor, currency);
+    }
+    
+    if (!Number.isFinite(amount)) {
+      throw new MoneyError(`Cannot read ${amount} as an amount of ${currency}`);
+    }
+    
+    return new Money(Money.roundHalfAwayFromZero(Number((amount * scale).toPrecision(15))), currency);
+  }
+
+  static fromMinor(minor, currency = 'EUR') {
+    return new Money(minor, currency);
+  }
+
+  static zero(currency = 'EUR') {
+    return new Money(0, currency);
+  }
+
+  static sum(amounts, currency = 'EUR') {
+    return amounts.reduce((total, amount) => total.add(Money.of(amount, currency)), Money.zero(currency));
+  }
+
+  static roundHalfAwayFromZero(value) {
+    return Math.sign(value) * Math.round(Math.abs(value)) || 0;
+  }
+
+  add(other) {
+    return new Money(this.minor + this.assertSameCurrency(other).minor, this.currency);
+  }
+
+  subtract(other) {
+    return new Money(this.minor - this.assertSameCurrency(other).minor, this.currency);
+  }
+
+  multiply(factor) {
+    return new Money(Money.roundHalfAwayFromZero(Number((this.minor * factor).toPrecision(15))), this.currency);
+  }
+
+  divide(divisor) {
+    return new Money(Money.roundHalfAwayFromZero(Number((this.minor / divisor).toPrecision(15))), this.currency);
+  }
+
+  percentage(percent) {
+    return this.multiply(percent / 100);
+  }
+
+  allocate(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      return weights.map(() => Money.zero(this.currency));
+    }
+    
+    // Largest remainder: every share is floored, then the leftover cents go to the biggest fractions
+    const exact = weights.map(weight => this.minor * weight / total);
+    const shares = exact.map(share => Math.floor(share));
+    let leftover = this.minor - shares.reduce((sum, share) => sum + share, 0);
+    
+    const order = exact
+      .map((share, index) => ({ index, fraction: share - shares[index] }))
+      .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+    
+    for (const { index } of order) {
+      if (leftover <= 0) break;
+      shares[index]++;
+      leftover--;
+    }
+    
+    return shares.map(share => new Money(share, this.currency));
+  }
+
+  min(other) {
+    return this.compare(other) <= 0 ? this : Money.of(other, this.currency);
+  }
+
+  max(other) {
+    return this.compare(other) >= 0 ? this : Money.of(other, this.currency);
+  }
+
+  compare(other) {
+    return Math.sign(this.minor - this.assertSameCurrency(other).minor);
+  }
+
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  assertSameCurrency(other) {
+    const money = Money.of(other, this.currency);
+    if (money.currency !== this.currency) {
+      throw new MoneyError(`Cannot combine ${this.currency} with ${money.currency}`);
+    }
+    
+    return money;
+  }
+
+  toNumber() {
+    return this.minor / Math.pow(10, moneyCurrencies[this.currency].minorUnits);
+  }
+
+  toString() {
+    return this.toNumber().toFixed(moneyCurrencies[this.currency].minorUnits);
+  }
+
+  format() {
+    return `${this.toString()}${moneyCurrencies[this.currency].symbol}`;
+  }
+
+  toJSON() {
+    return { minor: this.minor, currency: this.currency };
+  }
+}
+
+class MoneyError extends Error {}
+
+window.Money = Money;
@@ -478,7 +478,7 @@ class QuantumPriceCalculator {
                       uncertaintyAdjustment;
     
     return {
-      price: Math.max(0.01, finalPrice).toFixed(2),
+      price: Money.of(Math.max(0.01, finalPrice)),
       confidence: this.calculateMeasurementConfidence(),
       quantumState: this.encodeQuantumState(),
       entanglementStrength: this.calculateTotalEntanglement(),
@@ -551,6 +551,6 @@ window.QuantumPricing = {
       this.initialize();
     }
     
-    return this.calculator.calculateToyPrice(basePrice, factors);
+    return this.calculator.calculateToyPrice(Money.of(basePrice).toNumber(), factors);
   }
 };
\ No newline at end of file
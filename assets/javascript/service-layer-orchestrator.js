@@ -1,6 +1,50 @@
+const defaultResiliencePolicy = {
+  circuitBreaker: {
+    failureThreshold: 5,
+    successThreshold: 3,
+    openTimeout: 60000,
+    halfOpenMaxCalls: 1,
+    isFailure: (error) => !(error instanceof ServiceRejectedError)
+  },
+  rateLimit: {
+    maxRequests: 1000,
+    windowMs: 60000
+  },
+  retry: {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    exponentialBase: 2,
+    jitter: true,
+    retryOn: (error) => !(error instanceof ServiceRejectedError)
+  },
+  bulkhead: {
+    maxConcurrent: 10,
+    maxQueue: Infinity
+  },
+  deadline: {
+    timeout: null,
+    attemptTimeout: null,
+    signalArgument: false,
+    methods: {}
+  },
+  cache: {
+    maxSize: 1000,
+    methods: {}
+  }
+};
+
+function resolveResiliencePolicy(policy = {}) {
+  return Object.fromEntries(Object.entries(defaultResiliencePolicy).map(([section, defaults]) => [
+    section,
+    { ...defaults, ...(policy[section] || {}) }
+  ]));
+}
+
 class ServiceLayerOrchestratorFacadeAbstractionBridge {
   constructor() {
     this.services = new Map();
+    this.policies = new Map();
     this.serviceMesh = new ServiceMesh();
     this.circuitBreakers = new Map();
     this.rateLimiters = new Map();
@@ -16,23 +60,26 @@ class ServiceLayerOrchestratorFacadeAbstractionBridge {
     this.distributedLock = new DistributedLockManager();
   }
 
-  registerService(name, service) {
+  registerService(name, service, policy = {}) {
     console.log(`📡 Registering service: ${name}`);
     
     const wrappedService = this.wrapService(service, name);
+    const resolved = resolveResiliencePolicy(policy);
     
     this.services.set(name, wrappedService);
-    this.circuitBreakers.set(name, new CircuitBreaker(name));
-    this.rateLimiters.set(name, new RateLimiter(1000, 60000));
+    this.policies.set(name, resolved);
+    this.circuitBreakers.set(name, new CircuitBreaker(name, resolved.circuitBreaker, this.eventBus));
+    this.rateLimiters.set(name, new RateLimiter(resolved.rateLimit.maxRequests, resolved.rateLimit.windowMs));
     this.loadBalancers.set(name, new LoadBalancer());
     this.healthCheckers.set(name, new HealthChecker(wrappedService));
     this.tracers.set(name, new DistributedTracer(name));
     this.metrics.set(name, new MetricsCollector(name));
-    this.retryPolicies.set(name, new RetryPolicy());
-    this.bulkheads.set(name, new Bulkhead(10));
-    this.caches.set(name, new ServiceCache());
+    this.retryPolicies.set(name, new RetryPolicy(resolved.retry));
+    this.bulkheads.set(name, new Bulkhead(resolved.bulkhead.maxConcurrent, resolved.bulkhead.maxQueue));
+    this.caches.set(name, new ServiceCache({ maxSize: resolved.cache.maxSize }));
     
     this.serviceMesh.register(name, wrappedService);
+    this.serviceMesh.applyPolicy(name, resolved);
     
     console.log(`✅ Service ${name} registered with all middleware`);
   }
@@ -49,90 +96,221 @@ class ServiceLayerOrchestratorFacadeAbstractionBridge {
   }
 
   wrapMethod(target, method, serviceName) {
-    return async (...args) => {
-      const tracer = this.tracers.get(serviceName);
-      const span = tracer.startSpan(`${serviceName}.${method}`);
+    return async (...callArgs) => {
+      const { args, options } = extractServiceCallOptions(callArgs);
+      return await this.invokeWrapped(target, method, serviceName, args, options);
+    };
+  }
+
+  async invokeWrapped(target, method, serviceName, args, options, { revalidate = false } = {}) {
+    const tracer = this.tracers.get(serviceName);
+    const span = tracer.startSpan(`${serviceName}.${method}`);
+    const breaker = this.circuitBreakers.get(serviceName);
+    const deadline = this.createDeadline(serviceName, method, options);
+    const cache = this.caches.get(serviceName);
+    const cachePolicy = this.cachePolicy(serviceName, method);
+    const cacheKey = this.generateCacheKey(serviceName, method, args);
+    const cacheClock = cache.invalidationClock;
+    let admission = null;
+    let acquired = false;
+    
+    try {
+      deadline.throwIfExpired();
       
-      try {
-        await this.checkCircuitBreaker(serviceName);
-        
-        await this.checkRateLimit(serviceName);
+      // Cached answers are served even while the breaker is open
+      if (cachePolicy.ttl > 0 && !revalidate) {
+        const cached = cache.lookup(cacheKey);
+        span.addTag('cache', cached ? cached.status : 'miss');
         
-        await this.acquireBulkhead(serviceName);
-        
-        const cacheKey = this.generateCacheKey(serviceName, method, args);
-        const cached = this.caches.get(serviceName).get(cacheKey);
         if (cached) {
-          span.addTag('cache', 'hit');
-          return cached;
+          if (cached.status === 'stale') {
+            this.revalidate(target, method, serviceName, args, cacheKey);
+          }
+          span.finish();
+          return cached.value;
         }
+      }
+      
+      admission = await this.checkCircuitBreaker(serviceName);
+      
+      await this.checkRateLimit(serviceName);
+      
+      await this.acquireBulkhead(serviceName, deadline.signal);
+      acquired = true;
+      
+      const startTime = performance.now();
+      
+      const result = await this.executeWithRetry(
+        serviceName,
+        () => this.invokeAttempt(target, method, serviceName, args, deadline),
+        deadline
+      );
+      
+      const duration = performance.now() - startTime;
+      
+      this.metrics.get(serviceName).record({
+        method: method,
+        duration: duration,
+        success: true
+      });
+      
+      breaker.recordSuccess(admission);
+      
+      if (cachePolicy.ttl > 0) {
+        const tags = this.resolveCacheTags(cachePolicy.tags, args, result);
         
-        const startTime = performance.now();
-        
-        const result = await this.executeWithRetry(
-          serviceName,
-          () => target[method](...args)
-        );
-        
-        const duration = performance.now() - startTime;
-        
-        this.metrics.get(serviceName).record({
-          method: method,
-          duration: duration,
-          success: true
-        });
-        
-        this.caches.get(serviceName).set(cacheKey, result);
-        
-        span.finish();
-        
-        return result;
-        
-      } catch (error) {
-        span.addTag('error', true);
-        span.log({ event: 'error', message: error.message });
-        span.finish();
-        
-        this.metrics.get(serviceName).record({
-          method: method,
-          success: false,
-          error: error.message
-        });
-        
-        this.circuitBreakers.get(serviceName).recordFailure();
-        
-        throw error;
-        
-      } finally {
+        // A mutation that invalidated these tags while this call was in flight wins over its older answer
+        if (!cache.invalidatedSince(tags, cacheClock)) {
+          cache.set(cacheKey, result, {
+            ttl: cachePolicy.ttl,
+            staleWhileRevalidate: cachePolicy.staleWhileRevalidate,
+            tags: tags
+          });
+        }
+      }
+      
+      const invalidated = this.resolveCacheTags(cachePolicy.invalidates, args, result);
+      if (invalidated.length > 0) {
+        this.invalidateCacheTags(invalidated);
+      }
+      
+      span.finish();
+      
+      return result;
+      
+    } catch (error) {
+      span.addTag('error', true);
+      span.log({ event: 'error', message: error.message });
+      span.finish();
+      
+      this.metrics.get(serviceName).record({
+        method: method,
+        success: false,
+        error: error.message
+      });
+      
+      if (admission) {
+        breaker.recordOutcome(error, admission);
+      }
+      
+      throw error;
+      
+    } finally {
+      deadline.dispose();
+      if (acquired) {
         this.bulkheads.get(serviceName).release();
       }
+    }
+  }
+
+  revalidate(target, method, serviceName, args, cacheKey) {
+    const cache = this.caches.get(serviceName);
+    if (!cache.beginRevalidation(cacheKey)) {
+      return;
+    }
+    
+    this.invokeWrapped(target, method, serviceName, args, new ServiceCallOptions(), { revalidate: true })
+      .catch(error => console.warn(`⚠️ Could not revalidate ${serviceName}.${method}:`, error.message))
+      .finally(() => cache.endRevalidation(cacheKey));
+  }
+
+  cachePolicy(serviceName, method) {
+    return {
+      ttl: 0,
+      staleWhileRevalidate: 0,
+      tags: [],
+      invalidates: [],
+      ...(this.policies.get(serviceName).cache.methods[method] || {})
     };
   }
 
+  resolveCacheTags(tags, args, result) {
+    return typeof tags === 'function' ? tags(args, result) : tags;
+  }
+
+  invalidateCacheTags(tags) {
+    let removed = 0;
+    
+    for (const cache of this.caches.values()) {
+      removed += cache.invalidateTags(tags);
+    }
+    
+    console.log(`🧹 Invalidated ${removed} cached results tagged ${tags.join(', ')}`);
+    
+    return removed;
+  }
+
+  getCacheMetrics(serviceName) {
+    const cache = this.caches.get(serviceName);
+    return cache ? cache.getStats() : null;
+  }
+
+  createDeadline(serviceName, method, options = {}) {
+    const policy = this.deadlinePolicy(serviceName, method);
+    const timeouts = [policy.timeout, options.timeout, options.deadline ? options.deadline - Date.now() : null]
+      .filter(timeout => timeout !== null && timeout !== undefined);
+    
+    return new CallDeadline({
+      serviceName: serviceName,
+      method: method,
+      scope: 'call',
+      timeout: timeouts.length > 0 ? Math.max(0, Math.min(...timeouts)) : null,
+      parentSignal: options.signal
+    });
+  }
+
+  async invokeAttempt(target, method, serviceName, args, deadline) {
+    const policy = this.deadlinePolicy(serviceName, method);
+    const attempt = new CallDeadline({
+      serviceName: serviceName,
+      method: method,
+      scope: 'attempt',
+      timeout: policy.attemptTimeout,
+      parentSignal: deadline.signal
+    });
+    
+    try {
+      const callArgs = policy.signalArgument ? [...args, attempt.signal] : args;
+      
+      // Services that ignore the signal are abandoned rather than awaited past the deadline
+      return await attempt.race(Promise.resolve().then(() => target[method](...callArgs)));
+    } finally {
+      attempt.dispose();
+    }
+  }
+
+  deadlinePolicy(serviceName, method) {
+    const { methods, ...policy } = this.policies.get(serviceName).deadline;
+    return { ...policy, ...(methods[method] || {}) };
+  }
+
   async checkCircuitBreaker(serviceName) {
     const breaker = this.circuitBreakers.get(serviceName);
-    if (!breaker.allowRequest()) {
-      throw new Error(`Circuit breaker open for ${serviceName}`);
+    const admission = breaker.allowRequest();
+    if (!admission) {
+      throw new CircuitOpenError(serviceName, breaker.nextAttempt);
     }
+    
+    return admission;
   }
 
   async checkRateLimit(serviceName) {
     const limiter = this.rateLimiters.get(serviceName);
     if (!limiter.tryConsume()) {
-      throw new Error(`Rate limit exceeded for ${serviceName}`);
+      throw new RateLimitExceededError(serviceName);
     }
   }
 
-  async acquireBulkhead(serviceName) {
+  async acquireBulkhead(serviceName, signal = null) {
     const bulkhead = this.bulkheads.get(serviceName);
-    if (!await bulkhead.acquire()) {
-      throw new Error(`Bulkhead full for ${serviceName}`);
+    if (!await bulkhead.acquire(signal)) {
+      throw new BulkheadFullError(serviceName, bulkhead.maxQueue);
     }
   }
 
-  async executeWithRetry(serviceName, fn) {
+  async executeWithRetry(serviceName, fn, deadline = null) {
     const policy = this.retryPolicies.get(serviceName);
-    return await policy.execute(fn);
+    return await policy.execute(fn, deadline);
   }
 
   generateCacheKey(service, method, args) {
@@ -151,50 +329,128 @@ class ServiceLayerOrchestratorFacadeAbstractionBridge {
     
     return await service[method](...args);
   }
+
+  getPolicy(serviceName) {
+    return this.policies.get(serviceName) || null;
+  }
+
+  getCircuitState(serviceName) {
+    const breaker = this.circuitBreakers.get(serviceName);
+    return breaker ? breaker.state : null;
+  }
 }
 
 class CircuitBreaker {
-  constructor(name) {
+  constructor(name, options = {}, eventBus = null) {
     this.name = name;
+    this.eventBus = eventBus;
     this.state = 'CLOSED';
     this.failureCount = 0;
     this.successCount = 0;
-    this.failureThreshold = 5;
-    this.successThreshold = 3;
-    this.timeout = 60000;
+    this.halfOpenCalls = 0;
+    this.halfOpenPeriod = 0;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.successThreshold = options.successThreshold ?? 3;
+    this.timeout = options.openTimeout ?? 60000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? 1;
+    this.isFailure = options.isFailure || (() => true);
     this.nextAttempt = Date.now();
   }
 
   allowRequest() {
     if (this.state === 'OPEN') {
-      if (Date.now() >= this.nextAttempt) {
-        this.state = 'HALF_OPEN';
-        return true;
+      if (Date.now() < this.nextAttempt) {
+        return null;
       }
-      return false;
+      this.transitionTo('HALF_OPEN');
     }
-    return true;
-  }
-
-  recordSuccess() {
-    this.failureCount = 0;
     
     if (this.state === 'HALF_OPEN') {
-      this.successCount++;
-      if (this.successCount >= this.successThreshold) {
-        this.state = 'CLOSED';
-        this.successCount = 0;
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        return null;
       }
+      this.halfOpenCalls++;
+      return { trial: true, period: this.halfOpenPeriod };
+    }
+    
+    return { trial: false, period: this.halfOpenPeriod };
+  }
+
+  isCurrentTrial(admission) {
+    return this.state === 'HALF_OPEN' && admission.trial && admission.period === this.halfOpenPeriod;
+  }
+
+  recordOutcome(error, admission) {
+    if (this.isFailure(error)) {
+      this.recordFailure(admission);
+    } else if (this.isCurrentTrial(admission)) {
+      // The trial call never reached the service, so it says nothing about its health
+      this.halfOpenCalls--;
     }
   }
 
-  recordFailure() {
+  recordSuccess(admission) {
+    if (this.state !== 'HALF_OPEN') {
+      this.failureCount = 0;
+      return;
+    }
+    
+    // Calls admitted before the breaker opened finish late; only this period's trials decide recovery
+    if (!this.isCurrentTrial(admission)) {
+      return;
+    }
+    
+    this.halfOpenCalls--;
+    this.successCount++;
+    if (this.successCount >= this.successThreshold) {
+      this.transitionTo('CLOSED');
+    }
+  }
+
+  recordFailure(admission) {
+    if (this.state === 'OPEN') {
+      return;
+    }
+    
+    if (this.state === 'HALF_OPEN') {
+      if (this.isCurrentTrial(admission)) {
+        this.transitionTo('OPEN');
+      }
+      return;
+    }
+    
     this.failureCount++;
-    this.successCount = 0;
     
     if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
+      this.transitionTo('OPEN');
+    }
+  }
+
+  transitionTo(state) {
+    const previous = this.state;
+    
+    this.state = state;
+    this.successCount = 0;
+    this.halfOpenCalls = 0;
+    if (state === 'OPEN') {
       this.nextAttempt = Date.now() + this.timeout;
+    } else if (state === 'HALF_OPEN') {
+      this.halfOpenPeriod++;
+    } else if (state === 'CLOSED') {
+      this.failureCount = 0;
+    }
+    
+    console.log(`🔌 Circuit breaker ${this.name}: ${previous} → ${state}`);
+    
+    if (this.eventBus) {
+      this.eventBus.publish('circuitBreaker.stateChanged', {
+        service: this.name,
+        from: previous,
+        to: state,
+        failureCount: this.failureCount,
+        nextAttempt: state === 'OPEN' ? this.nextAttempt : null,
+        timestamp: Date.now()
+      });
     }
   }
 }
@@ -433,15 +689,16 @@ class MetricsCollector {
 }
 
 class RetryPolicy {
-  constructor() {
-    this.maxRetries = 3;
-    this.baseDelay = 1000;
-    this.maxDelay = 30000;
-    this.exponentialBase = 2;
-    this.jitter = true;
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 30000;
+    this.exponentialBase = options.exponentialBase ?? 2;
+    this.jitter = options.jitter ?? true;
+    this.retryOn = options.retryOn || (() => true);
   }
 
-  async execute(fn) {
+  async execute(fn, deadline = null) {
     let lastError;
     
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
@@ -450,10 +707,24 @@ class RetryPolicy {
       } catch (error) {
         lastError = error;
         
+        if (deadline && deadline.signal.aborted) {
+          throw deadline.signal.reason;
+        }
+        
+        if (!this.retryOn(error, attempt)) {
+          throw error;
+        }
+        
         if (attempt < this.maxRetries) {
           const delay = this.calculateDelay(attempt);
+          
+          // Sleeping past the deadline only delays the inevitable
+          if (deadline && delay >= deadline.remaining()) {
+            throw deadline.expire(error);
+          }
+          
           console.log(`⏳ Retry attempt ${attempt + 1} after ${delay}ms`);
-          await this.sleep(delay);
+          await this.sleep(delay, deadline ? deadline.signal : null);
         }
       }
     }
@@ -471,26 +742,56 @@ class RetryPolicy {
     return Math.min(delay, this.maxDelay);
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
 class Bulkhead {
-  constructor(maxConcurrent) {
+  constructor(maxConcurrent, maxQueue = Infinity) {
     this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
     this.currentConcurrent = 0;
     this.queue = [];
   }
 
-  async acquire() {
+  async acquire(signal = null) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    
     if (this.currentConcurrent < this.maxConcurrent) {
       this.currentConcurrent++;
       return true;
     }
     
-    return new Promise((resolve) => {
-      this.queue.push(resolve);
+    if (this.queue.length >= this.maxQueue) {
+      return false;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, signal, onAbort: null };
+      
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter(queued => queued !== entry);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      
+      this.queue.push(entry);
     });
   }
 
@@ -498,46 +799,207 @@ class Bulkhead {
     this.currentConcurrent--;
     
     if (this.queue.length > 0) {
-      const resolve = this.queue.shift();
+      const entry = this.queue.shift();
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
       this.currentConcurrent++;
-      resolve(true);
+      entry.resolve(true);
+    }
+  }
+}
+
+class CallDeadline {
+  constructor({ serviceName, method, scope, timeout = null, parentSignal = null }) {
+    this.serviceName = serviceName;
+    this.method = method;
+    this.scope = scope;
+    this.timeout = timeout;
+    this.expiresAt = timeout === null ? Infinity : Date.now() + timeout;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.parentSignal = parentSignal;
+    this.timer = null;
+    this.onParentAbort = () => this.abortFromParent();
+    
+    if (parentSignal && parentSignal.aborted) {
+      this.abortFromParent();
+    } else if (parentSignal) {
+      parentSignal.addEventListener('abort', this.onParentAbort, { once: true });
+    }
+    
+    if (timeout !== null && !this.signal.aborted) {
+      this.timer = setTimeout(() => this.expire(), timeout);
+    }
+  }
+
+  abortFromParent() {
+    const reason = this.parentSignal.reason;
+    
+    this.controller.abort(reason instanceof DeadlineExceededError || reason instanceof ServiceRejectedError
+      ? reason
+      : new ServiceCallCancelledError(this.serviceName, this.method, reason));
+  }
+
+  expire(cause = null) {
+    if (!this.signal.aborted) {
+      this.controller.abort(new DeadlineExceededError(this.serviceName, this.method, this.scope, this.timeout, cause));
     }
+    
+    return this.signal.reason;
+  }
+
+  remaining() {
+    return Math.max(0, this.expiresAt - Date.now());
+  }
+
+  throwIfExpired() {
+    if (this.signal.aborted) {
+      throw this.signal.reason;
+    }
+  }
+
+  race(promise) {
+    this.throwIfExpired();
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(this.signal.reason);
+      this.signal.addEventListener('abort', onAbort, { once: true });
+      
+      promise.then(resolve, reject).finally(() => {
+        this.signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    if (this.parentSignal) {
+      this.parentSignal.removeEventListener('abort', this.onParentAbort);
+    }
+  }
+}
+
+class ServiceCallOptions {
+  constructor({ signal = null, timeout = null, deadline = null } = {}) {
+    this.signal = signal;
+    this.timeout = timeout;
+    this.deadline = deadline;
+  }
+}
+
+function extractServiceCallOptions(args) {
+  const last = args[args.length - 1];
+  
+  if (last instanceof ServiceCallOptions) {
+    return { args: args.slice(0, -1), options: last };
   }
+  
+  return { args, options: new ServiceCallOptions() };
 }
 
 class ServiceCache {
-  constructor() {
+  constructor(options = {}) {
     this.cache = new Map();
-    this.ttl = 60000;
+    this.maxSize = options.maxSize ?? 1000;
+    this.revalidating = new Set();
+    this.invalidationClock = 0;
+    this.tagInvalidatedAt = new Map();
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0
+    };
   }
 
-  get(key) {
+  lookup(key, now = Date.now()) {
     const entry = this.cache.get(key);
     
-    if (!entry) return null;
-    
-    if (Date.now() - entry.timestamp > this.ttl) {
+    if (!entry || now >= entry.staleUntil) {
       this.cache.delete(key);
+      this.stats.misses++;
       return null;
     }
     
-    return entry.value;
+    // Re-inserting moves the entry to the most recently used end of the Map
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    
+    const status = now < entry.expiresAt ? 'fresh' : 'stale';
+    this.stats[status === 'fresh' ? 'hits' : 'staleHits']++;
+    
+    return { value: entry.value, status: status };
   }
 
-  set(key, value) {
+  set(key, value, { ttl, staleWhileRevalidate = 0, tags = [] }) {
+    const now = Date.now();
+    
+    this.cache.delete(key);
     this.cache.set(key, {
       value: value,
-      timestamp: Date.now()
+      tags: new Set(tags),
+      timestamp: now,
+      expiresAt: now + ttl,
+      staleUntil: now + ttl + staleWhileRevalidate
     });
     
-    if (this.cache.size > 1000) {
-      this.evictOldest();
+    while (this.cache.size > this.maxSize) {
+      this.evictLeastRecentlyUsed();
     }
   }
 
-  evictOldest() {
+  evictLeastRecentlyUsed() {
     const firstKey = this.cache.keys().next().value;
     this.cache.delete(firstKey);
+    this.stats.evictions++;
+  }
+
+  invalidateTags(tags) {
+    let removed = 0;
+    
+    this.invalidationClock++;
+    for (const tag of tags) {
+      this.tagInvalidatedAt.set(tag, this.invalidationClock);
+    }
+    
+    for (const [key, entry] of this.cache) {
+      if (tags.some(tag => entry.tags.has(tag))) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+    
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  invalidatedSince(tags, clock) {
+    return tags.some(tag => (this.tagInvalidatedAt.get(tag) || 0) > clock);
+  }
+
+  beginRevalidation(key) {
+    if (this.revalidating.has(key)) {
+      return false;
+    }
+    
+    this.revalidating.add(key);
+    return true;
+  }
+
+  endRevalidation(key) {
+    this.revalidating.delete(key);
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    
+    return {
+      ...this.stats,
+      size: this.cache.size,
+      hitRate: lookups > 0 ? (this.stats.hits + this.stats.staleHits) / lookups : 0
+    };
   }
 }
 
@@ -653,4 +1115,52 @@ class DistributedLockManager {
   }
 }
 
-window.ServiceOrchestrator = new ServiceLayerOrchestratorFacadeAbstractionBridge();
\ No newline at end of file
+class ServiceRejectedError extends Error {
+  constructor(serviceName, reason, message) {
+    super(message);
+    this.serviceName = serviceName;
+    this.reason = reason;
+  }
+}
+
+class ServiceCallCancelledError extends ServiceRejectedError {
+  constructor(serviceName, method, cause) {
+    super(serviceName, 'cancelled', `Call to ${serviceName}.${method} was cancelled`);
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+class DeadlineExceededError extends Error {
+  constructor(serviceName, method, scope, timeout, cause = null) {
+    super(`${serviceName}.${method} exceeded its ${scope === 'attempt' ? 'per-attempt ' : ''}deadline of ${timeout}ms`);
+    this.serviceName = serviceName;
+    this.method = method;
+    this.scope = scope;
+    this.timeout = timeout;
+    this.cause = cause;
+  }
+}
+
+class CircuitOpenError extends ServiceRejectedError {
+  constructor(serviceName, retryAt) {
+    super(serviceName, 'circuit_open', `Circuit breaker open for ${serviceName}`);
+    this.retryAt = retryAt;
+  }
+}
+
+class RateLimitExceededError extends ServiceRejectedError {
+  constructor(serviceName) {
+    super(serviceName, 'rate_limited', `Rate limit exceeded for ${serviceName}`);
+  }
+}
+
+class BulkheadFullError extends ServiceRejectedError {
+  constructor(serviceName, maxQueue) {
+    super(serviceName, 'bulkhead_full', `Bulkhead full for ${serviceName}`);
+    this.maxQueue = maxQueue;
+  }
+}
+
+window.ServiceOrchestrator = new ServiceLayerOrchestratorFacadeAbstractionBridge();
+window.ServiceCallOptions = ServiceCallOptions;
\ No newline at end of file